@@ -0,0 +1,19 @@
+'use strict';
+
+import { createPaginator } from './pagination';
+import { studentFacets } from './facets';
+
+createPaginator({
+  "container": ".student-list",
+  "itemSelector": ".student-item",
+  "searchId": "search",
+  "pageSize": 10,
+  "fuzzy": true,
+  "facets": studentFacets,
+  "fade": 150,
+  "history": true,
+  "persist": true,
+  "recentSearches": 5,
+  "selectable": true,
+  "exportable": true
+});
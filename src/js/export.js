@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ *  @file export
+ *  @summary Turns a list of students into CSV or JSON, and downloads it
+ *
+ */
+
+/**
+ * The fields written for each student, in column order.
+ * @type {string[]}
+ */
+export var exportFields = ["name", "email", "joined", "avatar"];
+
+/**
+ * Quotes a CSV field when it holds a comma, a quote or a line break, as
+ * RFC 4180 asks. Quotes inside the field are doubled.
+ * @private
+ * @param {*} value
+ * @returns {string}
+ *
+ */
+var csvField = function(value) {
+  var text = (value === null || value === undefined) ? '' : String(value);
+  return (/[",\r\n]/.test(text)) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Writes students as CSV, with a header row and CRLF line breaks (RFC 4180).
+ * @param {Student[]} students
+ * @param {string[]} [fields=exportFields]
+ * @returns {string}
+ *
+ */
+export var toCSV = function(students, fields) {
+  fields = fields || exportFields;
+  var rows = [fields].concat(students.map((student) => fields.map((field) => student[field])));
+  return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes students as a JSON array holding only the exported fields.
+ * @param {Student[]} students
+ * @param {string[]} [fields=exportFields]
+ * @returns {string}
+ *
+ */
+export var toJSON = function(students, fields) {
+  fields = fields || exportFields;
+  return JSON.stringify(students.map(function(student) {
+    return fields.reduce(function(out, field) {
+      out[field] = (student[field] === undefined) ? null : student[field];
+      return out;
+    }, {});
+  }), null, 2);
+}
+
+/**
+ * Saves text as a file through a temporary link, without a trip to a server.
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} type - The MIME type of the file
+ *
+ */
+export var download = function(text, filename, type) {
+  var url = URL.createObjectURL(new Blob([text], { "type": type }));
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,114 @@
+'use strict';
+
+import { parseJoined } from './search';
+
+/**
+ *  @file facets
+ *  @summary Facet values, counts and filtering for the paginator's filter panel
+ *
+ */
+
+/**
+ * @typedef {object} Facet
+ * @property {string} label - The heading of the facet's checkbox group
+ * @property {function(Student): ?string} value - Reads a student's value for the facet
+ */
+
+/**
+ * @typedef {object} FacetCount
+ * @property {string} key - The key of the facet
+ * @property {string} label - The heading of the facet's checkbox group
+ * @property {Array.<{value: string, count: number, checked: boolean}>} values
+ */
+
+/**
+ * The facets offered for a student list, keyed by the name used in filters.
+ * @type {Object.<string, Facet>}
+ */
+export var studentFacets = {
+  "year": {
+    "label": "Joined",
+    "value": function(student) {
+      var joined = parseJoined(student.joined || '');
+      return (joined) ? String(joined.getFullYear()) : null;
+    }
+  },
+  "domain": {
+    "label": "Email domain",
+    "value": function(student) {
+      return (student.email || '').split('@')[1] || null;
+    }
+  }
+};
+
+/**
+ * Creates a facet for every data-* attribute found on the students, such as
+ * data-cohort or data-track.
+ * @param {Student[]} students
+ * @returns {Object.<string, Facet>}
+ *
+ */
+export var dataFacets = function(students) {
+  var facets = {};
+  students.forEach(function(student) {
+    Object.keys(student.data || {}).forEach(function(key) {
+      if(facets['data-' + key]) { return; }
+      facets['data-' + key] = {
+        "label": key.charAt(0).toUpperCase() + key.slice(1),
+        "value": (other) => (other.data && other.data[key]) || null
+      };
+    });
+  });
+  return facets;
+}
+
+/**
+ * Creates a predicate that tests a student against the checked facet values.
+ * A student has to have one of the checked values of every facet that has
+ * any checked.
+ * @param {Object.<string, Facet>} facets
+ * @param {Object.<string, string[]>} filters - Facet keys mapped to the checked values
+ * @param {string} [except] - A facet left out of the test
+ * @returns {function(Student): boolean}
+ *
+ */
+export var facetFilter = function(facets, filters, except) {
+  var active = Object.keys(filters).filter(function(key) {
+    return key !== except && facets[key] && filters[key].length;
+  });
+  return function(student) {
+    return active.every((key) => filters[key].indexOf(facets[key].value(student)) != -1);
+  }
+}
+
+/**
+ * Counts the values of every facet. The counts of a facet take the checked
+ * values of every other facet into account, but not its own, so they say
+ * how many students checking that value would add. Values no student has
+ * left are still listed, with a count of 0, so the panel doesn't jump around.
+ * @param {Student[]} students - The students matching the text query
+ * @param {Object.<string, Facet>} facets
+ * @param {Object.<string, string[]>} filters - Facet keys mapped to the checked values
+ * @returns {FacetCount[]}
+ *
+ */
+export var countFacets = function(students, facets, filters) {
+  return Object.keys(facets).map(function(key) {
+    var checked = filters[key] || [];
+    var passes = facetFilter(facets, filters, key);
+    var counts = {};
+
+    checked.forEach((value) => counts[value] = 0);
+    students.forEach(function(student) {
+      var value = facets[key].value(student);
+      if(value === null || value === undefined) { return; }
+      counts[value] = (counts[value] || 0) + ((passes(student)) ? 1 : 0);
+    });
+
+    var values = Object.keys(counts).sort().map(function(value) {
+      return { "value": value, "count": counts[value], "checked": checked.indexOf(value) != -1 };
+    });
+
+    return { "key": key, "label": facets[key].label, "values": values };
+  }).filter((facet) => facet.values.length);
+}
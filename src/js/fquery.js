@@ -43,7 +43,7 @@ function extend(/* arguments */) {
   var argsIn = [...arguments];
   var out = argsIn.reduce(function(obj1, obj2) {
     for(var key in obj2) {
-      obj1[key] = (typeof obj2[key] === 'object' && !(Array.isArray(obj2[key]))) ? extend(obj2[key]) : obj2[key];
+      obj1[key] = (whatIsThis(obj2[key]) === 'object') ? extend(obj2[key]) : obj2[key];
     }
     return obj1;
   }, {});
@@ -155,6 +155,64 @@ function continueOrEnd(returnedValue, continuedValue) {
   }
 }
 
+/**
+ * @private
+ * @summary tests whether a value is a promise, or anything else with a then method.
+ * @param {*} value
+ * @returns {boolean}
+ *
+ */
+function isThenable(value) {
+  return !!value && typeof value.then == 'function';
+}
+
+/**
+ * Runs a step of a chain once the value it works on has settled. The step is
+ * run the synchronous way, and what it would have returned and continued with
+ * become promises, so the chain carries on asynchronously. A rejected value
+ * skips the step and is passed on to the end of the chain, or to a catch.
+ * @private
+ * @summary runs a chain step on a promised value.
+ * @param {Promise} promise - The value the step works on
+ * @param {function(*): continueOrEnd} run - Runs the step on the settled value
+ * @returns {continueOrEnd} Ends with a promise, or continues with one
+ *
+ */
+function deferStep(promise, run) {
+  var step = Promise.resolve(promise).then(function(value) {
+    var link = run(value);
+    return { "returned": link(), "continued": link((continued) => continued) };
+  });
+  /* only the promise the chain goes on with is made, so an error is reported once */
+  return function(/* empty or conjunction */) {
+    return (arguments.length == 0) ? step.then((settled) => settled.returned) :
+                                     arguments[0](step.then((settled) => settled.continued));
+  }
+}
+
+/**
+ * The way the then conjunction runs the verbs that don't map over the
+ * collection, set when the verb is made: "filter", "rank", "traverse",
+ * "batch" or "wait". Any other verb is mapped.
+ * @private
+ * @type {WeakMap.<function, string>}
+ *
+ */
+var kinds = new WeakMap();
+
+/**
+ * @private
+ * @summary tells the then conjunction how to run a verb (@see kinds).
+ * @param {string} kind
+ * @param {function} verb
+ * @returns {function} The verb
+ *
+ */
+function tagged(kind, verb) {
+  kinds.set(verb, kind);
+  return verb;
+}
+
 /**
  * Creates a function to test for property aliases used in the fQuery selector
  * function (@see on).
@@ -184,6 +242,8 @@ function selectorValidator(/* predicate functions */) {
  *                                       not be used
  * @returns {string} aliasObject.alias - String to replace value if alias is to
  *                                       be used.
+ * @returns {function} [aliasObject.engine] - Turns the alias into a property
+ *                                            array, instead of the wrapper's engine
  *
  */
 
@@ -193,6 +253,7 @@ function selectorValidator(/* predicate functions */) {
  *              aliased, and how.
  * @property {boolean} aliasObject.test - whether the alias should be used
  * @property {string} aliasObject.alias - the alias to be used
+ * @property {function} [aliasObject.engine] - what turns the alias into a property array
  *
  */
 
@@ -220,6 +281,30 @@ function childAlias(value) {
   return {"test": />/.test(value), "alias": value.replace(/>/gi,'.children.')};
 }
 
+/**
+ * Attribute alias predicate function
+ * @callback {selectorValidator~aliasPredicate}
+ * @summary aliases the attribute named after "@", as in "@href" or ">0@href"
+ * @param {string} value - The property key being tested
+ * @returns {selectorValidator~aliasObject}
+ *
+ */
+function attributeAlias(value) {
+  return { "test": /@/.test(value), "alias": value, "engine": attributeProp };
+}
+
+/**
+ * Dataset alias predicate function
+ * @callback {selectorValidator~aliasPredicate}
+ * @summary aliases the data-* attribute named after "#", as in "#page" or "#page-size"
+ * @param {string} value - The property key being tested
+ * @returns {selectorValidator~aliasObject}
+ *
+ */
+function dataAlias(value) {
+  return { "test": /#/.test(value), "alias": value, "engine": dataProp };
+}
+
 /**
  * Single selections
  *
@@ -245,21 +330,36 @@ function childAlias(value) {
  *
  */
 
+/**
+ * Names the element a query looks inside of, instead of the whole document.
+ * @example:
+ * $$('.email', within(item))(then)(hide)();
+ * @summary scopes a selection to the descendants of an element
+ * @param {string|Element} target - The selector string used to target a single
+ *                                  DOM element, or the element itself
+ * @returns {Element} The element to query within
+ *
+ */
+function within(target) {
+  return (typeof target == 'string') ? document.querySelector(target) : target;
+}
+
 /**
  * Starting function for modifying a single DOM element
  * @summary starts a fQuery chain for a singular element
  * @param {string|startingFunction} selector - Either a selector string for a DOM
  *                                             element, or a startingFunction for
  *                                             the chain.
+ * @param {Element} [scope=document] - Where to look for the element (@see within)
  * @returns {continueOrEnd} A function that will request the next parameter. If a
  *                     selector string or {starterFunction} was passed as a
  *                     parameter, then a {conjunction} is requested. If a conjunction
  *                     was passed, then an {Element} object is requested.
  *
  */
-function $(selector) {
+function $(selector, scope) {
   if(typeof selector == 'string') {
-    var element = document.querySelector(selector);
+    var element = (scope || document).querySelector(selector);
     return continueOrEnd(element, element);
   }
   return selector; //if make is put inside of the function
@@ -275,11 +375,14 @@ function $(selector) {
  *
  */
 function and(element) {
+  if(isThenable(element)) { return deferredAnd(element); }
   return function actionRequest(verbOrNoun) {
     if(typeof verbOrNoun == 'function') {
-    /* accounts for element verbs: hide and show */
+    /* accounts for element verbs: hide, show, listen, remove, the traversal verbs... */
       var verb = verbOrNoun;
-      return continueOrEnd(verb(element), verb(element));
+      /* run once, since verbs like listen aren't safe to repeat */
+      var result = verb(element);
+      return continueOrEnd(result, result);
     } else {
     /* accounts for property nouns: on */
       var propNounArray = verbOrNoun;
@@ -291,6 +394,24 @@ function and(element) {
   }
 }
 
+/**
+ * @private
+ * @summary the and conjunction for an element that is still to come.
+ * @param {Promise.<Element>} promise
+ * @returns {function}
+ *
+ */
+function deferredAnd(promise) {
+  return function actionRequest(verbOrNoun) {
+    if(typeof verbOrNoun == 'function') {
+      return deferStep(promise, (element) => and(element)(verbOrNoun));
+    }
+    return function(func) {
+      return deferStep(promise, (element) => and(element)(verbOrNoun)(func));
+    }
+  }
+}
+
 /**
  * Creates an element to start a chain of operations on.
  * @param {string} tag - the tag name for the new element
@@ -312,7 +433,7 @@ function propWrapper(/* engine, predicate functions */) {
   var selectorTest = selectorValidator(...tests);
   return function(property) {
     var alias = selectorTest(property);
-    return (alias.test) ? engine(alias.alias) : engine(property);
+    return (alias.test) ? (alias.engine || engine)(alias.alias) : engine(property);
   }
 }
 
@@ -320,16 +441,75 @@ function prop(property) {
   return property.split('.').filter((key) => key !== "");
 }
 
+/**
+ * @private
+ * @summary splits a property like ">0@href" at the marker into the property
+ *          array reaching the element and the name that follows.
+ * @param {string} property
+ * @param {string} marker - "@" or "#"
+ * @returns {{path: string[], name: string}}
+ *
+ */
+function splitProp(property, marker) {
+  var at = property.lastIndexOf(marker);
+  return {
+    "path": prop(childAlias(property.slice(0, at)).alias),
+    "name": property.slice(at + 1)
+  };
+}
+
+/**
+ * @private
+ * @summary a property array reaching an attribute, read and written through
+ *          getAttribute and setAttribute. Writing null removes the attribute.
+ * @param {string} property - A property like "@href" or ">0@href"
+ * @returns {string[]}
+ *
+ */
+function attributeProp(property) {
+  var split = splitProp(property, '@');
+  var path = split.path;
+  path.get = (element) => element.getAttribute(split.name);
+  path.set = function(element, value) {
+    (value === null) ? element.removeAttribute(split.name) : element.setAttribute(split.name, value);
+    return value;
+  }
+  return path;
+}
+
+/**
+ * @private
+ * @summary a property array reaching a value of the dataset. Writing null
+ *          removes it.
+ * @param {string} property - A property like "#page", "#page-size" or ">0#page"
+ * @returns {string[]}
+ *
+ */
+function dataProp(property) {
+  var split = splitProp(property, '#');
+  var key = split.name.replace(/-([a-z])/g, (dash, letter) => letter.toUpperCase());
+  var path = split.path;
+  path.get = (element) => element.dataset[key];
+  path.set = function(element, value) {
+    (value === null) ? delete element.dataset[key] : element.dataset[key] = value;
+    return value;
+  }
+  return path;
+}
+
 /**
  * Creates an array of property names that reference to a particular
- * property on an element.
+ * property on an element. Besides plain property chains, ".color" reaches a
+ * style, ">0" a child, "@href" an attribute and "#page" a value of the dataset.
+ * @example:
+ * $$('.pagination a')(then)(match({'#page': '2'}))(then)(set({'@aria-current': 'page'}))();
  * @name on
  * @param {string} selector - the property selector chain with corresponding aliases.
  * @returns {string[]} An array of properties in the order they have to be accessed
  *                     to reach the deasired value.
  *
  */
-var on = propWrapper(prop, styleAlias, childAlias);
+var on = propWrapper(prop, styleAlias, childAlias, attributeAlias, dataAlias);
 
 /**
  * Creates a function that uses an array of property names to return a value at
@@ -339,9 +519,10 @@ var on = propWrapper(prop, styleAlias, childAlias);
  */
 function getValue() {
   return function(elementSelected, array) {
-    return array.reduce(function(first, second) {
+    var value = array.reduce(function(first, second) {
       return first[second];
     }, elementSelected); // returns property value
+    return (array.get) ? array.get(value) : value;
   }
 }
 
@@ -354,6 +535,9 @@ function getValue() {
  */
 function setValue(value) {
   return function(elementSelected, array) {
+    if(array.set) {
+      return array.set(array.reduce((first, second) => first[second], elementSelected), value);
+    }
     var keyTest = validator(isString);
     return array.reduce(function(first, second) {
       return (keyTest(first[second])) ? first[second] = value : first[second];
@@ -364,18 +548,424 @@ function setValue(value) {
 /**
  * Creates a function that appends the element selected to the end of the specified
  * element.
- * @param {string} selector - The selector string used to target a single DOM element
+ * @param {string|Element} selector - The selector string used to target a single
+ *                                    DOM element, or the element itself
+ * @param {Element} [scope=document] - Where to look for the selector (@see within)
  * @returns {function}
  *
  */
-function appendTo(selector) {
-  var parent = document.querySelector(selector);
-  return function(elementSelected) {
+function appendTo(selector, scope) {
+  var parent = (typeof selector == 'string') ? (scope || document).querySelector(selector) : selector;
+  return function a(elementSelected) {
     parent.appendChild(elementSelected);
     return elementSelected;
   }
 }
 
+/**
+ * Creates a function that puts the element selected at the start of the specified
+ * element. A collection put there keeps its order.
+ * @param {string|Element} selector - The selector string used to target a single
+ *                                    DOM element, or the element itself
+ * @param {Element} [scope=document] - Where to look for the selector (@see within)
+ * @returns {function}
+ *
+ */
+function prependTo(selector, scope) {
+  var parent = (typeof selector == 'string') ? (scope || document).querySelector(selector) : selector;
+  return tagged('batch', function p(elementSelected) {
+    parent.insertBefore(gathered(elementSelected), parent.firstChild);
+    return elementSelected;
+  });
+}
+
+/**
+ * Creates a function that puts the element selected right before the specified
+ * element, as its sibling.
+ * @param {string|Element} selector - The selector string used to target a single
+ *                                    DOM element, or the element itself
+ * @param {Element} [scope=document] - Where to look for the selector (@see within)
+ * @returns {function}
+ *
+ */
+function insertBefore(selector, scope) {
+  var sibling = (typeof selector == 'string') ? (scope || document).querySelector(selector) : selector;
+  return function b(elementSelected) {
+    sibling.parentNode.insertBefore(elementSelected, sibling);
+    return elementSelected;
+  }
+}
+
+/**
+ * Creates a function that puts the element selected right after the specified
+ * element, as its sibling. A collection put there keeps its order.
+ * @param {string|Element} selector - The selector string used to target a single
+ *                                    DOM element, or the element itself
+ * @param {Element} [scope=document] - Where to look for the selector (@see within)
+ * @returns {function}
+ *
+ */
+function insertAfter(selector, scope) {
+  var sibling = (typeof selector == 'string') ? (scope || document).querySelector(selector) : selector;
+  return tagged('batch', function i(elementSelected) {
+    sibling.parentNode.insertBefore(gathered(elementSelected), sibling.nextSibling);
+    return elementSelected;
+  });
+}
+
+/**
+ * @private
+ * @summary puts a collection in a fragment, so it is inserted in one go and keeps
+ *          its order. A single element is given back as it is.
+ * @param {Element|Element[]} elementSelected
+ * @returns {Node}
+ *
+ */
+function gathered(elementSelected) {
+  if(!Array.isArray(elementSelected)) { return elementSelected; }
+  var fragment = document.createDocumentFragment();
+  elementSelected.forEach((element) => fragment.appendChild(element));
+  return fragment;
+}
+
+/**
+ * Creates a function that puts another element where the element selected is.
+ * The chain goes on with the element put in.
+ * @param {Element|function(Element): Element} replacement - The element put in,
+ *        or a function building one from each element replaced
+ * @returns {function}
+ *
+ */
+function replaceWith(replacement) {
+  return function w(elementSelected) {
+    var element = (typeof replacement == 'function') ? replacement(elementSelected) : replacement;
+    elementSelected.parentNode.replaceChild(element, elementSelected);
+    return element;
+  }
+}
+
+/**
+ * @summary takes the element, or all elements in the collection, out of the page.
+ * @param {Element}
+ * @returns {Element}
+ *
+ */
+function remove(element) {
+  element.remove();
+  return element;
+}
+
+/**
+ * Creates a function that adds classes to the element selected.
+ * @param {...string} var_args - The class names
+ * @returns {function}
+ *
+ */
+function addClass(/* class names */) {
+  var names = [...arguments];
+  return function classAdder(element) {
+    element.classList.add(...names);
+    return element;
+  }
+}
+
+/**
+ * Creates a function that removes classes from the element selected.
+ * @param {...string} var_args - The class names
+ * @returns {function}
+ *
+ */
+function removeClass(/* class names */) {
+  var names = [...arguments];
+  return function classRemover(element) {
+    element.classList.remove(...names);
+    return element;
+  }
+}
+
+/**
+ * Creates a function that adds a class to the element selected when it is
+ * missing, and removes it when it is there.
+ * @param {string} name - The class name
+ * @param {boolean} [force] - Add the class when true, remove it when false
+ * @returns {function}
+ *
+ */
+function toggleClass(name, force) {
+  return function classToggler(element) {
+    (force === undefined) ? element.classList.toggle(name) : element.classList.toggle(name, !!force);
+    return element;
+  }
+}
+
+/**
+ * Creates a function that tells whether the element selected has a class. Given
+ * to the then conjunction, it keeps the elements of the collection that do.
+ * @param {string} name - The class name
+ * @returns {function}
+ *
+ */
+function hasClass(name) {
+  return tagged('filter', function classTest(element) {
+    return element.classList.contains(name);
+  });
+}
+
+/**
+ * @private
+ * @summary reads or writes the values reached by an alias (@see attributeAlias, @see dataAlias).
+ * @param {string} marker - "@" or "#"
+ * @param {string|Object} name - A name, or an object of names and values to write
+ * @param {*} [value] - The value to write, or null to remove it
+ * @returns {function}
+ *
+ */
+function aliasVerb(marker, name, value) {
+  if(typeof name == 'object') {
+    return function writer(element) {
+      objToArr(name).forEach((pair) => setValue(pair[1])(element, on(marker + pair[0])));
+      return element;
+    }
+  }
+  if(value === undefined) {
+    return function reader(element) {
+      return getValue()(element, on(marker + name));
+    }
+  }
+  return aliasVerb(marker, {[name]: value});
+}
+
+/**
+ * Creates a function that reads an attribute of the element selected, or writes
+ * it when given a value. Writing null removes the attribute.
+ * @example:
+ * $(make('a'))(and)(attr({'href': '#', 'aria-label': 'Next page'}))(and)(attr('href'))();
+ * @param {string|Object} name - The attribute name, or an object of names and values
+ * @param {string} [value] - The value to write
+ * @returns {function}
+ *
+ */
+function attr(name, value) {
+  return aliasVerb('@', name, value);
+}
+
+/**
+ * Creates a function that reads a data-* attribute of the element selected, or
+ * writes it when given a value. Names can be given dashed or camel cased.
+ * Writing null removes it.
+ * @param {string|Object} key - The name after "data-", or an object of names and values
+ * @param {string} [value] - The value to write
+ * @returns {function}
+ *
+ */
+function data(key, value) {
+  return aliasVerb('#', key, value);
+}
+
+/**
+ * Traversal verbs
+ *
+ * traversal verbs take an element and return the elements related to it. On a
+ * single element the chain goes on with what was found. On a collection the
+ * elements found are gathered into a new collection, without repeats, in the
+ * order they were found.
+ *
+ * @example:
+ * $('.student-item')(and)(children('.email'))(then)(hide)();
+ * $$('.email')(then)(closest('.student-item'))(then)(show)();
+ *
+ */
+
+/**
+ * @private
+ * @summary keeps the elements that match the selector, or all of them without one.
+ * @param {Element[]} elements
+ * @param {string} [selector]
+ * @returns {Element[]}
+ *
+ */
+function filterBy(elements, selector) {
+  return elements.filter((element) => element && (!selector || element.matches(selector)));
+}
+
+/**
+ * Creates a function that finds the closest ancestor of the element, the element
+ * included, that matches the selector.
+ * @param {string} selector
+ * @returns {function}
+ *
+ */
+function closest(selector) {
+  return tagged('traverse', function traverser(element) {
+    return element.closest(selector);
+  });
+}
+
+/**
+ * Creates a function that finds the parent of the element.
+ * @param {string} [selector] - Only keep the parent when it matches this
+ * @returns {function}
+ *
+ */
+function parent(selector) {
+  return tagged('traverse', function traverser(element) {
+    return filterBy([element.parentElement], selector)[0] || null;
+  });
+}
+
+/**
+ * Creates a function that finds the children of the element.
+ * @param {string} [selector] - Only keep the children that match this
+ * @returns {function}
+ *
+ */
+function children(selector) {
+  return tagged('traverse', function traverser(element) {
+    return filterBy(Array.from(element.children), selector);
+  });
+}
+
+/**
+ * Creates a function that finds the other children of the element's parent.
+ * @param {string} [selector] - Only keep the siblings that match this
+ * @returns {function}
+ *
+ */
+function siblings(selector) {
+  return tagged('traverse', function traverser(element) {
+    var all = (element.parentElement) ? Array.from(element.parentElement.children) : [];
+    return filterBy(all.filter((sibling) => sibling !== element), selector);
+  });
+}
+
+/**
+ * Creates a function that finds the element right after the element.
+ * @param {string} [selector] - Only keep it when it matches this
+ * @returns {function}
+ *
+ */
+function next(selector) {
+  return tagged('traverse', function traverser(element) {
+    return filterBy([element.nextElementSibling], selector)[0] || null;
+  });
+}
+
+/**
+ * Creates a function that finds the element right before the element.
+ * @param {string} [selector] - Only keep it when it matches this
+ * @returns {function}
+ *
+ */
+function prev(selector) {
+  return tagged('traverse', function traverser(element) {
+    return filterBy([element.previousElementSibling], selector)[0] || null;
+  });
+}
+
+/**
+ * Listeners added by fQuery, kept for each element so they can be removed by
+ * type, namespace or handler.
+ * @private
+ * @type {WeakMap.<Element, Object[]>}
+ *
+ */
+var listeners = new WeakMap();
+
+/**
+ * @private
+ * @summary splits an event name like "click.pager" into its type and namespace.
+ * @param {string} [name] - An event type, a namespace starting with ".", or both
+ * @returns {{type: string, namespace: string}} Either part is "" when left out
+ *
+ */
+function eventName(name) {
+  var dot = (name || '').indexOf('.');
+  if(dot == -1) { return { "type": name || '', "namespace": '' }; }
+  return { "type": name.slice(0, dot), "namespace": name.slice(dot + 1) };
+}
+
+/**
+ * Creates a function that adds an event listener to the element selected. The
+ * event type can carry a namespace, as in "click.pager", so that every listener
+ * in it can be removed at once (@see unlisten). Given a selector, the listener
+ * is delegated: it hears the event from any descendant matching the selector,
+ * now or later, and is called with that descendant as this and as its second
+ * parameter.
+ * @example:
+ * $('.pagination')(and)(listen('click.pager', 'li', pageEvent))();
+ * $$('.student-item')(then)(listen('mouseenter', preview))();
+ * @param {string} name - The event type, with an optional namespace
+ * @param {string} [selector] - Delegates the listener to descendants matching this
+ * @param {function(Event, Element)} handler
+ * @returns {function}
+ *
+ */
+function listen(name, selector, handler) {
+  if(typeof selector == 'function') {
+    handler = selector;
+    selector = null;
+  }
+  var event = eventName(name);
+  return function l(element) {
+    var listener = (!selector) ? handler : function(e) {
+      var target = (e.target.closest) ? e.target.closest(selector) : null;
+      if(target && target !== element && element.contains(target)) {
+        handler.call(target, e, target);
+      }
+    };
+    element.addEventListener(event.type, listener);
+    var list = listeners.get(element) || [];
+    list.push({ "type": event.type, "namespace": event.namespace, "handler": handler, "listener": listener });
+    listeners.set(element, list);
+    return element;
+  }
+}
+
+/**
+ * Creates a function that removes the listeners fQuery added to the element
+ * selected. "click" removes every click listener, ".pager" every listener in
+ * the pager namespace, and "click.pager" only the click listeners in it.
+ * Leaving the name out removes them all.
+ * @param {string} [name] - The event type, the namespace, or both
+ * @param {function} [handler] - Only remove the listeners calling this handler
+ * @returns {function}
+ *
+ */
+function unlisten(name, handler) {
+  var event = eventName(name);
+  return function u(element) {
+    var list = listeners.get(element) || [];
+    listeners.set(element, list.filter(function(entry) {
+      var removing = (!event.type || entry.type == event.type) &&
+                     (!event.namespace || entry.namespace == event.namespace) &&
+                     (!handler || entry.handler === handler);
+      if(removing) { element.removeEventListener(entry.type, entry.listener); }
+      return !removing;
+    }));
+    return element;
+  }
+}
+
+/**
+ * Starts a chain by adding a delegated listener to an element: the handler
+ * hears the event from every descendant matching the selector, including the
+ * ones added later (@see listen).
+ * @example:
+ * delegate('.list', 'click', 'li', function(e, item) { ... })();
+ * @param {string|Element} target - The selector string used to target a single
+ *                                  DOM element, or the element itself
+ * @param {string} name - The event type, with an optional namespace
+ * @param {string} selector - The descendants the handler hears from
+ * @param {function(Event, Element)} handler
+ * @returns {continueOrEnd}
+ *
+ */
+function delegate(target, name, selector, handler) {
+  var element = within(target);
+  listen(name, selector, handler)(element);
+  return continueOrEnd(element, element);
+}
+
 /**
  * Group selections
  * @example:
@@ -388,6 +978,10 @@ function appendTo(selector) {
  * (then)('slice')(0,10)
  * (then)(show)
  * (then)(set({'.backgroundColor':'red'}))();
+ *
+ * $$('.student-item')
+ * (then)(fuzzy({'>0>1.innerHTML': 'phillp'}))
+ * (then)(show)();
  */
 
 /**
@@ -396,13 +990,14 @@ function appendTo(selector) {
  * @param {string} selector - Either a selector string for a DOM
  *                            element, or a startingFunction for
  *                            the chain.
+ * @param {Element} [scope=document] - Where to look for the elements (@see within)
  * @returns {continueOrEnd} A function that will pass the newly created element
  *                          collection to a series of operations, starting with
  *                          the {then} keyword.
  *
  */
-function $$(selector) {
-  var elements = document.querySelectorAll(selector);
+function $$(selector, scope) {
+  var elements = (scope || document).querySelectorAll(selector);
   var elementArray = Array.from(elements);
   return continueOrEnd(elementArray, elementArray);
 }
@@ -417,6 +1012,7 @@ function $$(selector) {
  *
  */
 function then(elementArray) {
+  if(isThenable(elementArray)) { return deferredThen(elementArray); }
   return function(action) {
     if(typeof action == 'string') {
     /* native array methods given as strings */
@@ -425,11 +1021,28 @@ function then(elementArray) {
         var transform = elementArray[action].apply(elementArray, args);
         return continueOrEnd(transform, transform);
       }
-    } else if(action.name !== ''){
-    /* else action is one of the custom func's: get, set, find, hide, or show */
-      var method = 'map';
-      method = (action.name == 'm' || action.name == 'f') ? 'filter' : method;
+    } else if(kinds.get(action) == 'rank') {
+    /* ranking actions: fuzzy, or any scorer wrapped with rank */
+      var ranked = rankAll(elementArray, action);
+      return continueOrEnd(ranked, ranked);
+    } else if(kinds.get(action) == 'traverse') {
+    /* traversal verbs: closest, parent, children, siblings, next and prev */
+      var found = traverseAll(elementArray, action);
+      return continueOrEnd(found, found);
+    } else if(kinds.get(action) == 'batch') {
+    /* verbs that handle the whole collection in one go: hide, prependTo and insertAfter */
+      var inserted = action(elementArray);
+      return continueOrEnd(inserted, inserted);
+    } else if(kinds.get(action) == 'wait') {
+    /* async steps, given the whole collection at once */
+      var awaited = action(elementArray);
+      return continueOrEnd(awaited, awaited);
+    } else if(action.name !== '' || kinds.has(action)){
+    /* else action is one of the custom func's: set, match, find, hide, show, listen, remove... */
+      var method = (kinds.get(action) == 'filter') ? 'filter' : 'map';
       var transform = elementArray[method].call(elementArray, action);
+      /* animated verbs give promises, so the chain gives one for the whole collection */
+      if(method == 'map' && transform.some(isThenable)) { transform = Promise.all(transform); }
       return continueOrEnd(transform, transform);
     } else {
     /* one of the functions from the underscore.js library */
@@ -442,6 +1055,120 @@ function then(elementArray) {
   }
 }
 
+/**
+ * @private
+ * @summary the then conjunction for a collection that is still to come.
+ * @param {Promise.<Element[]>} promise
+ * @returns {function}
+ *
+ */
+function deferredThen(promise) {
+  return function(action) {
+    if(typeof action == 'string' || (action.name === '' && !kinds.has(action))) {
+    /* native array methods and underscore functions still ask for their arguments */
+      return function(/* args */) {
+        var args = Array.from(arguments);
+        return deferStep(promise, (elementArray) => then(elementArray)(action)(...args));
+      }
+    }
+    return deferStep(promise, (elementArray) => then(elementArray)(action));
+  }
+}
+
+/**
+ * Async chains
+ *
+ * a step giving a promise, like wait or the animated verbs, makes the rest of
+ * the chain wait for it. Every step after it runs once the promise settles,
+ * and the chain ends with a promise. An error thrown or rejected on the way
+ * skips the steps after it, up to a catch.
+ *
+ * @example:
+ * $$('.student-item')
+ * (then)(wait(fetchStudents))
+ * (then)('slice')(0, 10)
+ * (then)(show)
+ * (catch)(showError)();
+ *
+ * $('.load-more')(and)(fadeOut())(and)(remove)().then(focusList);
+ */
+
+/**
+ * Creates an async step. The function is given the element, or the whole
+ * collection, and the chain carries on with what its promise resolves to.
+ * Also exported as await.
+ * @param {function(*): (Promise|*)} func
+ * @returns {function}
+ *
+ */
+function wait(func) {
+  return tagged('wait', function waiter(value) {
+    return new Promise((resolve) => resolve(func(value)));
+  });
+}
+
+/**
+ * Conjunction that handles an error from any async step before it. The chain
+ * carries on with what the handler returns. A chain that never went async
+ * has nothing to catch, and carries on as it was. Also exported as catch.
+ * @param {*} value - The value the chain carries on with, maybe a promise
+ * @returns {function} Requests the handler, a function taking the error
+ *
+ */
+function caught(value) {
+  return function(handler) {
+    var recovered = (isThenable(value)) ? Promise.resolve(value).catch(handler) : value;
+    return continueOrEnd(recovered, recovered);
+  }
+}
+
+/**
+ * Conjunction that ends a chain with a promise, whether or not the chain went
+ * async. The promise resolves to what the chain carried on with, or rejects
+ * with the first error left uncaught.
+ * @example:
+ * $$('.student-item')(then)(fadeIn())(promised).then(announce);
+ * @param {*} value - The value the chain carries on with, maybe a promise
+ * @returns {Promise}
+ *
+ */
+function promised(value) {
+  return Promise.resolve(value);
+}
+
+/**
+ * @private
+ * @summary keeps the elements a ranking action scored above zero, best score first.
+ * @param {Element[]} elementArray - The collection being ranked
+ * @param {function} action - A ranking action returning a score for each element
+ * @returns {Element[]} The scored elements, highest score first. Elements with
+ *                      the same score keep their order in the collection.
+ *
+ */
+function rankAll(elementArray, action) {
+  return elementArray
+    .map((element, index) => ({ "element": element, "score": action(element), "index": index }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+    .map((entry) => entry.element);
+}
+
+/**
+ * @private
+ * @summary gathers what a traversal verb finds from every element in the collection.
+ * @param {Element[]} elementArray - The collection being traversed
+ * @param {function} action - A traversal verb returning an element, an array or null
+ * @returns {Element[]} The elements found, each one once, in the order they were found
+ *
+ */
+function traverseAll(elementArray, action) {
+  var found = new Set();
+  elementArray.forEach(function(element) {
+    [].concat(action(element)).forEach((result) => result && found.add(result));
+  });
+  return Array.from(found);
+}
+
 function actionMaker(action) {
   return function(object) {
     var propArray = objToArr(object);
@@ -457,11 +1184,11 @@ function actionMaker(action) {
  *
  */
 function matchIt(propArray) {
-  return function m(element) {
+  return tagged('filter', function m(element) {
     return propArray.every(function(property) {
       return $(and)(element)(on(property[0]))(getValue())() == property[1];
     });
-  }
+  });
 }
 
 /**
@@ -488,11 +1215,80 @@ function setIt(propArray) {
  *
  */
 function findIt(propArray) {
-  return function f(element) {
+  return tagged('filter', function f(element) {
     return propArray.some(function(property) {
-      return $(and)(element)(on(property[0]))(getValue())().includes(property[1]);
+      var value = $(and)(element)(on(property[0]))(getValue())();
+      return value !== null && value !== undefined && String(value).includes(property[1]);
     });
+  });
+}
+
+/**
+ * @private
+ * @summary the fewest edits needed to turn the query into any part of the text.
+ * @param {string} text - The text being searched
+ * @param {string} query - The text being looked for
+ * @returns {number}
+ *
+ */
+function substringDistance(text, query) {
+  var previous = Array.from({"length": text.length + 1}, () => 0);
+  for(var i = 1; i <= query.length; i++) {
+    var current = [i];
+    for(var j = 1; j <= text.length; j++) {
+      var cost = (query[i - 1] == text[j - 1]) ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
   }
+  return Math.min(...previous);
+}
+
+/**
+ * Scores how well a query matches a text, ignoring case. An exact match scores
+ * 2, so it always ranks above a fuzzy match, which scores between 0 and 1. One
+ * typo is forgiven for every four characters of the query.
+ * @summary scores how closely the text contains the query.
+ * @param {string} text - The text being searched
+ * @param {string} query - The text being looked for
+ * @returns {number} 0 when the text doesn't match at all
+ *
+ */
+function fuzzyScore(text, query) {
+  text = String(text).toLowerCase();
+  query = String(query).toLowerCase();
+  if(text.includes(query)) { return 2; }
+  var distance = substringDistance(text, query);
+  return (distance <= Math.floor(query.length / 4)) ? 1 - distance / (query.length + 1) : 0;
+}
+
+/**
+ * @private
+ * @summary scores each element by how closely this property matches this value.
+ * @param {PropertyArray} propArray - An array of key/value arrays.
+ * @returns {number}
+ *
+ */
+function fuzzyIt(propArray) {
+  return rank(function(element) {
+    return Math.max(...propArray.map(function(property) {
+      return fuzzyScore($(and)(element)(on(property[0]))(getValue())(), property[1]);
+    }));
+  });
+}
+
+/**
+ * Wraps a scoring function so that the then conjunction uses it to rank the
+ * collection: elements scoring 0 are dropped and the rest are sorted best first.
+ * @summary turns a scoring function into a ranking action.
+ * @param {function} scorer - Takes an element and returns its score
+ * @returns {function}
+ *
+ */
+function rank(scorer) {
+  return tagged('rank', function ranker(element) {
+    return scorer(element);
+  });
 }
 
 /**
@@ -504,6 +1300,16 @@ function findIt(propArray) {
  */
 var match = actionMaker(matchIt);
 
+/**
+ * @function
+ * @summary ranks the collection by how closely these properties match these values,
+ *          forgiving typos. Exact matches rank above fuzzy ones.
+ * @param {Object} object - An object of element key/value pairs.
+ * @returns {Element[]}
+ *
+ */
+var fuzzy = actionMaker(fuzzyIt);
+
 /**
  * @function
  * @summary finds any elements in the collection that contain this value in this property.
@@ -523,17 +1329,61 @@ var find = actionMaker(findIt);
 var set = actionMaker(setIt);
 
 /**
- * @summary hides the element, or all elements in the collection.
- * @param {Element}
- * @returns {Element}
+ * The display each hidden element had before it was hidden.
+ * @private
+ * @type {WeakMap.<Element, string>}
  *
  */
-function hide(element) {
-  element.style.opacity = '0';
-  element.$$$display = getComputedStyle(element).display;
-  element.style.display = "none";
-  return element;
+var displays = new WeakMap();
+
+/**
+ * The animation running on each element, with the transition it replaced.
+ * A newer animation, or hide or show, takes over from the one running.
+ * @private
+ * @type {WeakMap.<Element, {transition: string, reset: function}>}
+ *
+ */
+var animations = new WeakMap();
+
+/**
+ * @private
+ * @summary stops the animation running on the element, putting back the styles it changed.
+ * @param {Element} element
+ *
+ */
+function stopAnimation(element) {
+  var running = animations.get(element);
+  if(running) {
+    element.style.transition = running.transition;
+    running.reset(element);
+    animations.delete(element);
+  }
+}
+
+/**
+ * @summary hides the element, or all elements in the collection. The display
+ *          of every element is read before any is hidden, so the browser works
+ *          out the styles once rather than once for each element.
+ * @param {Element|Element[]}
+ * @returns {Element|Element[]}
+ *
+ */
+function hide(elementSelected) {
+  var elements = [].concat(elementSelected);
+  elements.forEach(stopAnimation);
+  elements.forEach(function(element) {
+    /* an element hidden twice keeps the display it had before the first time */
+    if(element.style.display != 'none') {
+      displays.set(element, getComputedStyle(element).display);
+    }
+  });
+  elements.forEach(function(element) {
+    element.style.opacity = '0';
+    element.style.display = "none";
+  });
+  return elementSelected;
 }
+tagged('batch', hide);
 
 /**
  * @summary shows the element, or all elements in the collection.
@@ -542,24 +1392,212 @@ function hide(element) {
  *
  */
 function show(element) {
+  stopAnimation(element);
   element.style.opacity = '1';
-  element.style.display = (element.$$$display) ? element.$$$display : "";
-  delete element.$$$display;
+  /* an element that wasn't hidden keeps the display it has */
+  if(displays.has(element)) {
+    element.style.display = displays.get(element);
+  } else if(element.style.display == 'none') {
+    element.style.display = "";
+  }
+  displays.delete(element);
   return element;
 }
 
+/**
+ * @private
+ * @summary tests whether the user asked for less motion.
+ * @returns {boolean}
+ *
+ */
+function reducedMotion() {
+  return typeof window.matchMedia == 'function' &&
+         window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Runs a CSS transition on an element and waits for it to end. The end is
+ * taken from transitionend, or from a timeout in case the event never comes,
+ * as happens when nothing actually changes or the element isn't rendered.
+ * @private
+ * @summary transitions an element to new styles.
+ * @param {Element} element
+ * @param {string} property - The CSS property that changes
+ * @param {Object} styles - The style aliases to set, like {'.opacity': '0'} (@see set)
+ * @param {number} duration - Milliseconds
+ * @param {function(Element)} finish - Called when the transition ends, unless another
+ *                                     animation, hide or show took over the element
+ * @param {function(Element)} [reset] - Puts back the styles only needed while animating,
+ *                                      whether the transition ended or was taken over
+ * @returns {Promise.<Element>} Resolves when the transition ends or is taken over
+ *
+ */
+function animate(element, property, styles, duration, finish, reset) {
+  var running = { "transition": element.style.transition, "reset": reset || function() {} };
+  animations.set(element, running);
+
+  return new Promise(function(resolve) {
+    var timer;
+    var end = function(e) {
+      if(e && (e.target !== element || e.propertyName != property)) { return; }
+      clearTimeout(timer);
+      element.removeEventListener('transitionend', end);
+      if(animations.get(element) === running) {
+        stopAnimation(element);
+        finish(element);
+      }
+      resolve(element);
+    }
+    element.addEventListener('transitionend', end);
+    timer = setTimeout(end, duration + 50);
+
+    /* reading the layout makes the browser start from the styles set so far */
+    void element.offsetHeight;
+    element.style.transition = property + ' ' + duration + 'ms';
+    set(styles)(element);
+  });
+}
+
+/**
+ * Creates a function that fades the element selected out, then hides it.
+ * Where the user asked for less motion it is hidden at once.
+ * @param {number} [duration=200] - Milliseconds
+ * @returns {function} Returns a promise of the element, or of the whole
+ *                     collection in a then chain
+ *
+ */
+function fadeOut(duration) {
+  duration = (duration === undefined) ? 200 : duration;
+  return function fader(element) {
+    if(element.style.display == 'none' || !duration || reducedMotion()) {
+      return Promise.resolve(hide(element));
+    }
+    /* carry on from wherever a fade in got to */
+    var from = getComputedStyle(element).opacity;
+    stopAnimation(element);
+    element.style.opacity = from;
+    return animate(element, 'opacity', {'.opacity': '0'}, duration, hide);
+  }
+}
+
+/**
+ * Creates a function that shows the element selected and fades it in. Where
+ * the user asked for less motion it is shown at once.
+ * @param {number} [duration=200] - Milliseconds
+ * @returns {function} Returns a promise of the element, or of the whole
+ *                     collection in a then chain
+ *
+ */
+function fadeIn(duration) {
+  duration = (duration === undefined) ? 200 : duration;
+  return function fader(element) {
+    var from = (element.style.display == 'none') ? '0' : getComputedStyle(element).opacity;
+    show(element);
+    if(!duration || reducedMotion()) { return Promise.resolve(element); }
+    element.style.opacity = from;
+    return animate(element, 'opacity', {'.opacity': '1'}, duration, () => {});
+  }
+}
+
+/**
+ * @private
+ * @summary puts back the height and overflow a slide changed.
+ * @param {Element} element
+ *
+ */
+function unfold(element) {
+  element.style.height = '';
+  element.style.overflow = '';
+}
+
+/**
+ * Creates a function that folds the element selected up to no height, then
+ * hides it. Where the user asked for less motion it is hidden at once.
+ * @param {number} [duration=200] - Milliseconds
+ * @returns {function} Returns a promise of the element, or of the whole
+ *                     collection in a then chain
+ *
+ */
+function slideUp(duration) {
+  duration = (duration === undefined) ? 200 : duration;
+  return function slider(element) {
+    if(element.style.display == 'none' || !duration || reducedMotion()) {
+      return Promise.resolve(hide(element));
+    }
+    var from = element.offsetHeight;
+    stopAnimation(element);
+    element.style.height = from + 'px';
+    element.style.overflow = 'hidden';
+    return animate(element, 'height', {'.height': '0px'}, duration, hide, unfold);
+  }
+}
+
+/**
+ * Creates a function that shows the element selected and unfolds it to its
+ * full height. Where the user asked for less motion it is shown at once.
+ * @param {number} [duration=200] - Milliseconds
+ * @returns {function} Returns a promise of the element, or of the whole
+ *                     collection in a then chain
+ *
+ */
+function slideDown(duration) {
+  duration = (duration === undefined) ? 200 : duration;
+  return function slider(element) {
+    var from = (element.style.display == 'none') ? 0 : element.offsetHeight;
+    show(element);
+    if(!duration || reducedMotion()) { return Promise.resolve(element); }
+    element.style.overflow = 'hidden';
+    element.style.height = from + 'px';
+    return animate(element, 'height', {'.height': element.scrollHeight + 'px'}, duration, () => {}, unfold);
+  }
+}
+
 
+module.exports.extend = extend;
 module.exports.$ = $;
+module.exports.within = within;
 module.exports.and = and;
 module.exports.on = on;
 module.exports.make = make;
 module.exports.getValue = getValue;
 module.exports.setValue = setValue;
 module.exports.appendTo = appendTo;
+module.exports.prependTo = prependTo;
+module.exports.insertBefore = insertBefore;
+module.exports.insertAfter = insertAfter;
+module.exports.replaceWith = replaceWith;
+module.exports.remove = remove;
+module.exports.addClass = addClass;
+module.exports.removeClass = removeClass;
+module.exports.toggleClass = toggleClass;
+module.exports.hasClass = hasClass;
+module.exports.attr = attr;
+module.exports.data = data;
+module.exports.closest = closest;
+module.exports.parent = parent;
+module.exports.children = children;
+module.exports.siblings = siblings;
+module.exports.next = next;
+module.exports.prev = prev;
+module.exports.listen = listen;
+module.exports.unlisten = unlisten;
+module.exports.delegate = delegate;
 module.exports.$$ = $$;
 module.exports.then = then;
+module.exports.wait = wait;
+module.exports.await = wait;
+module.exports.caught = caught;
+module.exports.catch = caught;
+module.exports.promised = promised;
 module.exports.hide = hide;
 module.exports.show = show;
+module.exports.fadeIn = fadeIn;
+module.exports.fadeOut = fadeOut;
+module.exports.slideUp = slideUp;
+module.exports.slideDown = slideDown;
 module.exports.set = set;
 module.exports.match = match;
 module.exports.find = find;
+module.exports.fuzzy = fuzzy;
+module.exports.rank = rank;
+module.exports.fuzzyScore = fuzzyScore;
@@ -0,0 +1,138 @@
+'use strict';
+
+import { normalize } from './search';
+
+/**
+ *  @file highlight
+ *  @summary Wraps matched search terms in <mark> elements and takes them out again
+ *
+ */
+
+/* the text nodes replaced in each highlighted element, so they can be put back */
+var replaced = new WeakMap();
+
+/**
+ * Normalizes a text one character at a time, remembering which character of
+ * the original text each normalized character came from.
+ * @private
+ * @param {string} text
+ * @returns {{text: string, map: number[]}}
+ *
+ */
+var normalizeWithMap = function(text) {
+  var out = '';
+  var map = [];
+  for(var i = 0; i < text.length; i++) {
+    var normalized = normalize(text[i]);
+    for(var k = 0; k < normalized.length; k++) {
+      out += normalized[k];
+      map.push(i);
+    }
+  }
+  return { "text": out, "map": map };
+}
+
+/**
+ * Finds where the terms appear in a text, as merged [start, end) ranges of
+ * the original text.
+ * @private
+ * @param {string} text
+ * @param {string[]} terms - Normalized terms
+ * @returns {Array.<number[]>}
+ *
+ */
+var findRanges = function(text, terms) {
+  var normalized = normalizeWithMap(text);
+  var ranges = [];
+  terms.filter((term) => term !== '').forEach(function(term) {
+    var index = normalized.text.indexOf(term);
+    while(index != -1) {
+      var end = index + term.length - 1;
+      ranges.push([normalized.map[index], normalized.map[end] + 1]);
+      index = normalized.text.indexOf(term, index + 1);
+    }
+  });
+  return ranges.sort((a, b) => a[0] - b[0]).reduce(function(merged, range) {
+    var last = merged[merged.length - 1];
+    if(last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Builds the nodes that replace a text node: the unmatched text stays as
+ * text nodes and each matched range goes into a <mark>. Nothing is parsed
+ * as HTML.
+ * @private
+ * @param {string} text
+ * @param {Array.<number[]>} ranges
+ * @returns {Node[]}
+ *
+ */
+var splitText = function(text, ranges) {
+  var parts = [];
+  var position = 0;
+  ranges.forEach(function(range) {
+    if(range[0] > position) {
+      parts.push(document.createTextNode(text.slice(position, range[0])));
+    }
+    var mark = document.createElement('mark');
+    mark.textContent = text.slice(range[0], range[1]);
+    parts.push(mark);
+    position = range[1];
+  });
+  if(position < text.length) {
+    parts.push(document.createTextNode(text.slice(position)));
+  }
+  return parts;
+}
+
+/**
+ * Puts back the original text of an element highlighted by highlight.
+ * @param {Element} element
+ * @returns {Element}
+ *
+ */
+export var unhighlight = function(element) {
+  var records = replaced.get(element) || [];
+  records.forEach(function(record) {
+    var first = record.parts[0];
+    first.parentNode.insertBefore(record.original, first);
+    record.parts.forEach((part) => part.remove());
+  });
+  replaced.delete(element);
+  return element;
+}
+
+/**
+ * Wraps every occurrence of the terms inside an element's text in a <mark>,
+ * ignoring case and accents. Any earlier highlighting is removed first.
+ * @param {Element} element
+ * @param {string[]} terms - Normalized terms (@see normalize)
+ * @returns {Element}
+ *
+ */
+export var highlight = function(element, terms) {
+  unhighlight(element);
+
+  var walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+  var textNodes = [];
+  while(walker.nextNode()) { textNodes.push(walker.currentNode); }
+
+  var records = [];
+  textNodes.forEach(function(node) {
+    var ranges = findRanges(node.data, terms);
+    if(ranges.length == 0) { return; }
+    var parts = splitText(node.data, ranges);
+    parts.forEach((part) => node.parentNode.insertBefore(part, node));
+    node.remove();
+    records.push({ "original": node, "parts": parts });
+  });
+
+  if(records.length) { replaced.set(element, records); }
+  return element;
+}
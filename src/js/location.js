@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ *  @file location
+ *  @summary Keeps a paginator's page, query, page size and sort in the URL
+ *
+ */
+
+/* the query string parameter used for each piece of paginator state, where a size of 0 shows all */
+var params = { "page": "page", "query": "q", "size": "size", "sort": "sort" };
+
+/**
+ * Reads paginator state from the query string of the current URL. Anything
+ * missing from the URL is taken from the defaults.
+ * @param {string} prefix - Put in front of every parameter name, so several
+ *                          paginators can share one URL
+ * @param {Object} defaults - The state used when a parameter is missing
+ * @returns {{page: number, query: string, size: number, sort: string}}
+ *
+ */
+export var readLocation = function(prefix, defaults) {
+  var search = new URLSearchParams(window.location.search);
+  var read = (key) => search.get(prefix + params[key]);
+
+  var page = parseInt(read('page'), 10);
+  var size = parseInt(read('size'), 10);
+
+  return {
+    "page": (page > 0) ? page : defaults.page,
+    "query": (read('query') !== null) ? read('query') : defaults.query,
+    "size": (size >= 0) ? size : defaults.size,
+    "sort": (read('sort') !== null) ? read('sort') : defaults.sort
+  };
+}
+
+/**
+ * Builds the URL for a paginator state, keeping any other parameters already
+ * in the URL. Values equal to the defaults are left out.
+ * @param {Object} state
+ * @param {string} prefix - Put in front of every parameter name
+ * @param {Object} defaults - Values that don't need to be written
+ * @returns {string} A path, query string and hash
+ *
+ */
+export var locationFor = function(state, prefix, defaults) {
+  var search = new URLSearchParams(window.location.search);
+  Object.keys(params).forEach(function(key) {
+    var name = prefix + params[key];
+    if(state[key] === undefined || state[key] == defaults[key]) {
+      search.delete(name);
+    } else {
+      search.set(name, state[key]);
+    }
+  });
+  var query = search.toString();
+  return window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+}
+
+/**
+ * Writes a paginator state into the URL through the History API.
+ * @param {Object} state
+ * @param {string} prefix - Put in front of every parameter name
+ * @param {Object} defaults - Values that don't need to be written
+ * @param {boolean} push - Add a history entry instead of replacing the current one
+ *
+ */
+export var writeLocation = function(state, prefix, defaults, push) {
+  var url = locationFor(state, prefix, defaults);
+  var current = window.location.pathname + window.location.search + window.location.hash;
+  if(url == current) { return; }
+  window.history[(push) ? 'pushState' : 'replaceState'](window.history.state, '', url);
+}
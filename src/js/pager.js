@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ *  @file pager
+ *  @summary Works out which links a windowed pager shows
+ *
+ */
+
+/**
+ * @typedef {object} PagerLink
+ * @property {string} type - One of "first", "prev", "page", "gap", "next" or "last"
+ * @property {?number} page - The page the link goes to, or null when it is disabled
+ * @property {string} label - The text of the link
+ * @property {?string} title - What the link does, for screen readers
+ * @property {boolean} [active] - Whether this is the current page
+ * @property {boolean} [far] - Whether the page is more than one page from the
+ *                             current one, so narrow screens can hide it
+ */
+
+/**
+ * Lists the links of a pager in the style « ‹ 1 … 7 8 [9] 10 11 … 240 › ».
+ * The first and last pages are always shown, with the pages within the
+ * window on either side of the current page. A gap standing in for a single
+ * page is replaced by that page.
+ * @param {number} current - The current page, counting from 1
+ * @param {number} total - How many pages there are
+ * @param {number} size - How many pages to show on each side of the current page
+ * @returns {PagerLink[]}
+ *
+ */
+export var pagerLinks = function(current, total, size) {
+  var links = [];
+  var start = Math.max(1, current - size);
+  var end = Math.min(total, current + size);
+
+  if(start <= 3) { start = 1; }
+  if(end >= total - 2) { end = total; }
+
+  var addPage = function(page) {
+    links.push({
+      "type": "page",
+      "page": page,
+      "label": String(page),
+      "title": "Page " + page,
+      "active": page == current,
+      "far": Math.abs(page - current) > 1
+    });
+  }
+
+  var hasPrev = current > 1;
+  var hasNext = current < total;
+
+  links.push({ "type": "first", "page": (hasPrev) ? 1 : null, "label": "«", "title": "First page" });
+  links.push({ "type": "prev", "page": (hasPrev) ? current - 1 : null, "label": "‹", "title": "Previous page" });
+
+  if(start > 1) {
+    addPage(1);
+    links.push({ "type": "gap", "page": null, "label": "…", "title": null });
+  }
+  for(var page = start; page <= end; page++) { addPage(page); }
+  if(end < total) {
+    links.push({ "type": "gap", "page": null, "label": "…", "title": null });
+    addPage(total);
+  }
+
+  links.push({ "type": "next", "page": (hasNext) ? current + 1 : null, "label": "›", "title": "Next page" });
+  links.push({ "type": "last", "page": (hasNext) ? total : null, "label": "»", "title": "Last page" });
+
+  return links;
+}
@@ -1,6 +1,16 @@
 'use strict';
 
 import * as util from './fquery';
+import { createMatcher, createScorer, createTextCache, narrows, parseQuery, studentFields } from './search';
+import { highlight, unhighlight } from './highlight';
+import { studentSorts, createSortCache } from './sort';
+import { readLocation, writeLocation, locationFor } from './location';
+import { pagerLinks } from './pager';
+import { studentTemplate, readStudent } from './template';
+import { createLocalSource, createModel } from './source';
+import { dataFacets, facetFilter, countFacets } from './facets';
+import { toCSV, toJSON, download } from './export';
+import { createStore } from './storage';
 
 var extend = util.extend;
 var $ = util.$;
@@ -17,74 +27,1526 @@ var show = util.show;
 var set = util.set;
 var match = util.match;
 var find = util.find;
+var rank = util.rank;
+var listen = util.listen;
+var within = util.within;
+var addClass = util.addClass;
+var toggleClass = util.toggleClass;
+var attr = util.attr;
+var data = util.data;
+var fadeIn = util.fadeIn;
+var fadeOut = util.fadeOut;
+var wait = util.wait;
+var unlisten = util.unlisten;
 
 
-var attachPagination = function() {
-  $(make('div', {"className": "pagination"}))(and)(appendTo(".page"))();
+var defaults = {
+  "container": ".student-list",
+  "itemSelector": ".student-item",
+  "pageSize": 10,
+  "pagerWindow": 2,
+  "mode": "pages",
+  "scrollMargin": "200px",
+  "fade": 0,
+  "pageSizes": [10, 25, 50, 100, 0],
+  "storageKey": null,
+  "persist": false,
+  "recentSearches": 0,
+  "searchFields": studentFields,
+  "fuzzy": false,
+  "highlightFields": ["name", "email"],
+  "sorts": studentSorts,
+  "sort": "",
+  "facets": null,
+  "dataFacets": true,
+  "facetMount": null,
+  "selectable": false,
+  "exportable": false,
+  "exportName": "students",
+  "on": {},
+  "watch": false,
+  "selectionKey": function(student) {
+    return student.email || student.name;
+  },
+  "history": false,
+  "historyKey": null,
+  "paginationMount": ".page",
+  "searchMount": ".page-header",
+  "searchId": null,
+  "placeholder": "Search for students...",
+  "searchDelay": 150,
+  "searchLabel": "Search students",
+  "pagerLabel": "Student pages",
+  "itemName": "students",
+  "summaryTemplate": function(info) {
+    return (info.total) ? 'Showing ' + info.first + '–' + info.last + ' of ' + info.total : '';
+  },
+  "emptyTemplate": function(info) {
+    var message = (info.query) ? 'No ' + info.itemName + ' match \'' + info.query + '\'.' :
+                                 'There are no ' + info.itemName + ' to show.';
+    var empty = $(make('div', {"textContent": message + ' '}))();
+    if(info.query) {
+      $(make('button', {"type": "button", "className": "clear-search", "textContent": "Clear search"}))
+      (and)(appendTo(empty))();
+    }
+    return empty;
+  },
+  "source": null,
+  "virtual": false,
+  "rowHeight": 0,
+  "overscan": 5,
+  "template": studentTemplate,
+  "loadingText": "Loading students…",
+  "errorText": "Students couldn't be loaded."
+};
+
+var resolve = function(target) {
+  return (typeof target == 'string') ? document.querySelector(target) : target;
 }
 
-var attachSearch = function() {
-  var container = $(make('div', {"className": "student-search"}))
-                  (and)(appendTo('.page-header'))();
+/**
+ * @typedef {object} PageInfo
+ * @property {number} first - The position of the first item on the page, counting from 1
+ * @property {number} last - The position of the last item on the page
+ * @property {number} total - How many items match the query
+ * @property {number} page - The current page
+ * @property {number} pages - How many pages there are
+ * @property {string} query - The current query
+ * @property {string} itemName - What the items are called
+ */
 
-  var searchBox = $(make('input', {"placeholder": "Search for students...", "id": "search"}))
-                  (and)(appendTo('.student-search'))();
+/**
+ * @typedef {object} PaginatorDetail
+ * @description The detail of the events fired on the list.
+ * @property {number} page - The current page
+ * @property {number} totalPages - How many pages there are
+ * @property {string} query - The current query
+ * @property {number} total - How many items match
+ * @property {Element[]} visible - The items on screen
+ * @property {Array.<(Element|Student)>} matched - Every matching item, or the matching
+ *           students when they come from a source. A fetchPage source only gives the
+ *           students on the page.
+ * @property {number} [to] - The page asked for, on beforepagechange
+ */
 
-  searchBox.addEventListener('keyup', pageEvent);
+/* fills a node with what a template returned, either text or an element */
+var fill = function(node, content) {
+  node.textContent = '';
+  if(typeof content == 'string') {
+    node.textContent = content;
+  } else if(content) {
+    node.appendChild(content);
+  }
+  return node;
 }
 
-var makePage = function(query, page) {
-  var first = (page - 1) * 10;
-  var last = page * 10;
+/* what a model of the students needs to search, sort and filter like the list (@see createModel) */
+var modelOptions = function(settings, facets) {
+  return {
+    "fuzzy": settings.fuzzy,
+    "fields": settings.searchFields,
+    "sorts": settings.sorts,
+    "facets": facets,
+    "template": settings.template
+  };
+}
 
-  var array = $$('.student-item')(then)(show)
-              (then)(hide)
-              (then)(find({'>0>1.innerHTML': query }))();
+/* the numbers held by the paginators on the page whose list has no id, so each
+   gets its own search id, storage and URL parameters. A paginator destroyed
+   gives its number back, so the one made again in its place gets the same. */
+var numbers = [];
 
-  then(array)('slice')(first, last)(then)(show)();
+var takeNumber = function() {
+  var number = 1;
+  while(numbers.indexOf(number) != -1) { number++; }
+  numbers.push(number);
+  return number;
+}
 
-  createPageLinks(array, page);
+var giveBack = function(number) {
+  if(numbers.indexOf(number) != -1) { numbers.splice(numbers.indexOf(number), 1); }
 }
 
-var createPageLinks = function(array, active) {
+/* the search id, storage namespace and URL prefix a paginator gets when none is given */
+var namesFor = function(container, number) {
+  if(container.id) {
+    return { "searchId": container.id + '-search', "storageKey": 'paginator-' + container.id, "historyKey": container.id + '-' };
+  }
+  return {
+    "searchId": 'paginator-search-' + number,
+    "storageKey": 'paginator' + ((number > 1) ? '-' + number : ''),
+    "historyKey": (number > 1) ? 'p' + number + '-' : ''
+  };
+}
 
-  $(make('ul', {"className": "list"}))(and)(appendTo(".pagination"))();
+/* bumped whenever what the paginator keeps in localStorage changes shape */
+var storageVersion = 1;
 
-  var totalPages = Math.ceil(array.length / 10);
+/**
+ * Creates a paginator for a list of elements. Nothing is rendered until the
+ * paginator is created, so several lists can be paginated on the same page.
+ * @param {Object} [options]
+ * @param {string|Element} [options.container=".student-list"] - The list holding the items
+ * @param {string} [options.itemSelector=".student-item"] - Selector for each item in the list
+ * @param {number} [options.pageSize=10] - How many items are shown on each page
+ * @param {number} [options.pagerWindow=2] - How many page links to show on each side
+ *                                          of the current page
+ * @param {string} [options.mode="pages"] - "pages" for page links, "scroll" to show the next
+ *        page when the end of the list scrolls into view, or "more" for a "Load more" button.
+ *        "scroll" falls back to the button where IntersectionObserver is missing.
+ * @param {string} [options.scrollMargin="200px"] - How far from the end of the list the
+ *        next page starts loading in scroll mode
+ * @param {number} [options.fade=0] - Milliseconds to fade out the items leaving the list
+ *        and then fade in the ones coming in, or 0 to swap them at once. Nothing fades
+ *        for users who asked for less motion.
+ * @param {number[]} [options.pageSizes] - The choices in the page size control, where 0 means all
+ * @param {string} [options.storageKey] - The localStorage namespace the chosen page size,
+ *        preferences and recent searches are remembered under, or "" to forget them. By
+ *        default "paginator-" and the id of the list. For a list without an id, "paginator"
+ *        for the first paginator on the page, "paginator-2" for a second one alive at the
+ *        same time, and so on.
+ * @param {boolean} [options.persist=false] - Remember the page, query, page size and sort
+ *        across reloads. What the URL holds comes first.
+ * @param {number} [options.recentSearches=0] - How many recent searches are offered under
+ *        the search box
+ * @param {Object} [options.searchFields] - Field names mapped to the selector or function
+ *                                          that reads each field's text (@see studentFields)
+ * @param {boolean} [options.fuzzy=false] - Forgive typos in the query and show the best
+ *                                         matches first
+ * @param {string[]} [options.highlightFields] - Search fields whose matched text is marked
+ * @param {Object} [options.sorts] - The orderings offered by the sort control (@see studentSorts)
+ * @param {string} [options.sort=""] - The ordering used when the paginator starts
+ * @param {?Object} [options.facets=null] - The facets offered in the filter panel (@see
+ *        studentFacets), or null for no filter panel. A fetchPage function source gets the
+ *        checked values in its requests, but no panel, since it can't give the counts.
+ * @param {boolean} [options.dataFacets=true] - Also offer a facet for every data-* attribute
+ *        found on the items
+ * @param {string|Element} [options.facetMount] - Where the filter panel is attached. By
+ *        default it goes right before the list.
+ * @param {boolean} [options.selectable=false] - Add a checkbox to every item and a bar to
+ *        select whole pages or every match. The list fires a "selectionchange" event with
+ *        the selected students whenever the selection changes.
+ * @param {function(Student): string} [options.selectionKey] - Tells students apart, so the
+ *        selection survives items being rendered again. The email address by default.
+ * @param {boolean} [options.exportable=false] - Add buttons that download every match as
+ *        CSV or JSON
+ * @param {string} [options.exportName="students"] - The name of downloaded files
+ * @param {Object.<string, function(CustomEvent)>} [options.on] - Callbacks for the events the
+ *        list fires (@see PaginatorDetail): "beforepagechange", which can be cancelled with
+ *        preventDefault, "pagechange", "search", "render" and "empty"
+ * @param {boolean} [options.watch=false] - Refresh when items are added to or removed from
+ *        the list by other code. Only items read from the page are watched.
+ * @param {boolean} [options.history=false] - Keep the page, query, page size and sort in the URL
+ * @param {string} [options.historyKey] - Prefix for the URL parameters. By default the id
+ *        of the list and "-". For a list without an id, none for the first paginator on
+ *        the page, "p2-" for a second one alive at the same time, and so on.
+ * @param {string|Element} [options.paginationMount=".page"] - Where the page links are attached
+ * @param {string|Element} [options.searchMount=".page-header"] - Where the search box is attached
+ * @param {string} [options.searchId] - The id given to the search input. By default the
+ *        id of the list and "-search", or "paginator-search-1" for the first paginator
+ *        on the page whose list has no id, and so on.
+ * @param {string} [options.placeholder] - The placeholder text of the search input
+ * @param {number} [options.searchDelay=150] - Milliseconds to wait after the last keystroke
+ *                                            before searching
+ * @param {string} [options.searchLabel] - The label read out for the search input
+ * @param {string} [options.pagerLabel] - The label read out for the page links
+ * @param {string} [options.itemName="students"] - What the items are called in announcements
+ * @param {function(PageInfo): (string|Element)} [options.summaryTemplate] - The summary line
+ *        shown with the page links
+ * @param {function(PageInfo): (string|Element)} [options.emptyTemplate] - Shown instead of the
+ *        list when nothing matches. A .clear-search button in it clears the query.
+ * @param {Student[]|function} [options.source] - Renders items from data instead of paging
+ *        the markup: an array of students, or a fetchPage function that takes a
+ *        {@link PageRequest} and returns a promise of a {@link PageResult}
+ * @param {boolean} [options.virtual=false] - Keep the students in memory and only put the
+ *        rows being looked at in the DOM. The students come from an array source, or are
+ *        read out of the markup. In scroll mode only the rows in the viewport are rendered.
+ * @param {number} [options.rowHeight] - The height of a row in virtual scroll mode,
+ *        measured from the first row when left out
+ * @param {number} [options.overscan=5] - Rows rendered above and below the viewport
+ * @param {function(Student): Element} [options.template] - Builds an item from a student
+ * @param {string} [options.loadingText] - Shown while a page is being fetched
+ * @param {string} [options.errorText] - Shown when a page couldn't be fetched
+ * @returns {{goTo: function, search: function, sort: function, setPageSize: function,
+ *            setMode: function, loadMore: function, getSelection: function,
+ *            clearSelection: function, exportResults: function, downloadResults: function,
+ *            refresh: function, destroy: function}}
+ *
+ */
+export var createPaginator = function(options) {
+  var settings = extend(defaults, options);
+  settings.searchFields = (options && options.searchFields) || defaults.searchFields;
+  settings.sorts = (options && options.sorts) || defaults.sorts;
+  settings.facets = (options && options.facets !== undefined) ? options.facets : defaults.facets;
+  var virtual = settings.virtual && typeof settings.source != 'function';
+  var fetchPage = (virtual) ? null :
+                  (Array.isArray(settings.source)) ? createLocalSource(settings.source, modelOptions(settings)) :
+                  settings.source;
+  var container = resolve(settings.container);
+  var number = (container.id) ? null : takeNumber();
+  var names = namesFor(container, number);
+  ['searchId', 'storageKey', 'historyKey'].forEach(function(name) {
+    if(settings[name] === null) { settings[name] = names[name]; }
+  });
+  var initial = { "page": 1, "query": "", "size": settings.pageSize, "sort": settings.sort };
+  var state = extend(initial, {"filters": {}});
+  var paginationNode, searchNode, searchBox, sortBox, sizeBox, listNode, statusNode, liveNode;
+  var summaryNode, emptyNode, moreButton, sentinel, observer, facetNode, facets, facetKey;
+  var selectionNode, pageBox, selectedCount, matchingButton, pageStudents, exportNode;
+  var originalOrder, lastAction, controller, searchTimer, pagerKey, pageCount, moreToLoad, watcher;
+  var lastDetail = null;
+  /* nothing matches until the first page has rendered */
+  var allMatching = () => Promise.resolve([]);
+  var store = createStore(settings.storageKey, storageVersion);
+  var recentNode, recentOffered;
+  var recent = [];
+  var recentIndex = -1;
+  var requests = 0;
+  var readTexts = createTextCache(settings.searchFields);
+  var sortItems = createSortCache();
+  var hidden = new WeakSet();
+  var previous = null;
+  var marked = [];
+  var students, select, matches, range, drawn, topSpacer, bottomSpacer, measuredHeight, scrollFrame;
+  var rows = new WeakMap();
+  var readStudents = new WeakMap();
+  var selected = new Map();
+  var studentFor = new WeakMap();
 
-  for(var i = 0; i < totalPages; i++) {
+  var getItems = function() {
+    return Array.from(container.querySelectorAll(settings.itemSelector));
+  }
 
-    var className = (active == i + 1) ? 'active' : '';
-    var options = { "innerHTML": '<a class="' + className + '" href="#">' + (i + 1) + '</a>' };
-    var pageLink = $(make('li', options))(and)(appendTo('.list'))();
+  var pageLength = function(count) {
+    return state.size || Math.max(count, 1);
+  }
 
-    pageLink.addEventListener('click', pageEvent);
+  var scrolling = function() {
+    return settings.mode != 'pages';
+  }
+
+  /* the items in the order of the markup, before any sort moved them */
+  var ordered = function() {
+    var items = getItems();
+    var present = new Set(items);
+    var known = new Set(originalOrder);
+    /* an item put in since goes after the item before it in the list, so it
+       keeps the place the host page gave it */
+    var before = null;
+    items.forEach(function(item) {
+      if(!known.has(item)) {
+        originalOrder.splice((before) ? originalOrder.indexOf(before) + 1 : 0, 0, item);
+        known.add(item);
+      }
+      before = item;
+    });
+    return originalOrder.filter((item) => present.has(item));
   }
-}
 
-var pageEvent = function(e) {
-  e.preventDefault();
+  var attachPagination = function() {
+    paginationNode = $(make('nav', {"className": "pagination"}))
+                     (and)(appendTo(resolve(settings.paginationMount)))();
+    paginationNode.setAttribute('aria-label', settings.pagerLabel);
 
-  $('.list')().remove();
+    summaryNode = $(make('p', {"className": "pagination-summary"}))
+                  (and)(appendTo(paginationNode))();
 
-  var page = (this.id == 'search') ? 1 : $(and)(this)(on('>0.innerHTML'))(getValue())();
+    liveNode = $(make('div', {"className": "visually-hidden"}))
+               (and)(appendTo(paginationNode))();
+    liveNode.setAttribute('aria-live', 'polite');
+    liveNode.setAttribute('role', 'status');
 
-  makePage(getQuery(), page);
-}
+    attachPageSize();
 
-var getQuery = function() {
+    /* the links are thrown away with every page, so they are listened to from here */
+    $(and)(paginationNode)(listen('click.pager', '.list li', pageEvent))
+    (and)(listen('keydown.pager', pagerKeyEvent))();
+  }
 
-  var query = (!$('#search')()) ? '' : $('#search')(and)(on('value'))(getValue())();
+  var attachMore = function() {
+    moreButton = $(make('button', {"type": "button", "className": "load-more", "textContent": "Load more"}))
+                 (and)(appendTo(paginationNode))();
+    hide(moreButton);
+    moreButton.addEventListener('click', loadMore);
 
-  return query.toLowerCase().trim();
-}
+    sentinel = $(make('div', {"className": "pagination-sentinel"}))();
+    sentinel.setAttribute('aria-hidden', 'true');
+    container.parentNode.insertBefore(sentinel, container.nextSibling);
+
+    if(typeof IntersectionObserver == 'function') {
+      observer = new IntersectionObserver(function(entries) {
+        if(entries.some((entry) => entry.isIntersecting)) { loadMore(); }
+      }, { "rootMargin": settings.scrollMargin });
+    }
+  }
 
-var init = function() {
+  var updateMore = function(more) {
+    moreToLoad = more;
+    paginationNode.classList.toggle('pagination-scroll', scrolling());
 
-  attachPagination();
-  attachSearch();
-  makePage('', 1);
-  
-}
+    var button = scrolling() && more && (settings.mode == 'more' || !observer);
+    (button) ? show(moreButton) : hide(moreButton);
+
+    if(observer) {
+      /* observing again reports the sentinel at once if it is still in view */
+      observer.disconnect();
+      if(settings.mode == 'scroll' && more) { observer.observe(sentinel); }
+    }
+  }
+
+  var attachEmpty = function() {
+    emptyNode = $(make('div', {"className": "empty-state"}))();
+    container.parentNode.insertBefore(emptyNode, container.nextSibling);
+    hide(emptyNode);
+
+    emptyNode.addEventListener('click', clearEvent);
+  }
+
+  var attachStatus = function() {
+    statusNode = $(make('div', {"className": "pagination-status"}))();
+    container.parentNode.insertBefore(statusNode, container.nextSibling);
+    hide(statusNode);
+
+    statusNode.addEventListener('click', retryEvent);
+  }
+
+  var attachPageSize = function() {
+    sizeBox = $(make('select', {"className": "page-size"}))
+              (and)(appendTo(paginationNode))();
+    sizeBox.setAttribute('aria-label', settings.itemName + ' per page');
+
+    settings.pageSizes.forEach(function(size) {
+      var label = (size) ? size + ' per page' : 'All';
+      $(make('option', {"value": String(size), "textContent": label}))
+      (and)(appendTo(sizeBox))();
+    });
+
+    $(and)(sizeBox)(on('value'))(setValue(String(state.size)))();
+
+    sizeBox.addEventListener('change', sizeEvent);
+  }
+
+  var attachSearch = function() {
+    searchNode = $(make('div', {"className": "student-search"}))
+                 (and)(appendTo(resolve(settings.searchMount)))();
+
+    var id = settings.searchId;
+
+    $(make('label', {"className": "visually-hidden", "htmlFor": id, "textContent": settings.searchLabel}))
+    (and)(appendTo(searchNode))();
+
+    searchBox = $(make('input', {"placeholder": settings.placeholder, "id": id, "type": "search"}))
+                (and)(appendTo(searchNode))();
+
+    searchBox.addEventListener('keyup', keyEvent);
+
+    if(settings.recentSearches) { attachRecent(); }
+
+    attachSort();
+  }
+
+  var attachRecent = function() {
+    recent = store.read('recent', Array.isArray) || [];
+    recent = recent.filter((entry) => typeof entry == 'string');
+
+    recentNode = $(make('ul', {"className": "recent-searches"}))
+                 (and)(appendTo(searchNode))();
+    recentNode.id = searchBox.id + '-recent';
+    recentNode.setAttribute('role', 'listbox');
+    recentNode.setAttribute('aria-label', 'Recent searches');
+    hide(recentNode);
+
+    searchBox.setAttribute('role', 'combobox');
+    searchBox.setAttribute('autocomplete', 'off');
+    searchBox.setAttribute('aria-autocomplete', 'list');
+    searchBox.setAttribute('aria-controls', recentNode.id);
+    searchBox.setAttribute('aria-expanded', 'false');
+
+    searchBox.addEventListener('keydown', recentKeyEvent);
+    searchBox.addEventListener('input', openRecent);
+    searchBox.addEventListener('focus', openRecent);
+    searchBox.addEventListener('blur', closeRecent);
+    searchBox.addEventListener('change', rememberEvent);
+    /* picking on mousedown keeps the focus in the search box */
+    recentNode.addEventListener('mousedown', recentPickEvent);
+  }
+
+  var openRecent = function() {
+    recentIndex = -1;
+    renderRecent();
+  }
+
+  var closeRecent = function() {
+    recentIndex = -1;
+    hide(recentNode);
+    searchBox.setAttribute('aria-expanded', 'false');
+    searchBox.removeAttribute('aria-activedescendant');
+  }
+
+  /* lists the recent searches holding what has been typed, with a last option clearing them */
+  var renderRecent = function() {
+    var text = getQuery();
+    recentOffered = recent.filter((entry) => entry != text && entry.indexOf(text) != -1);
+    recentNode.textContent = '';
+
+    if(!recentOffered.length) { return closeRecent(); }
+
+    recentOffered.concat([null]).forEach(function(entry, index) {
+      var option = $(make('li', {"textContent": (entry === null) ? 'Clear history' : entry}))
+                   (and)(appendTo(recentNode))();
+      option.id = recentNode.id + '-' + index;
+      option.className = (entry === null) ? 'clear-history' : 'recent-search';
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', String(index == recentIndex));
+    });
+
+    show(recentNode);
+    searchBox.setAttribute('aria-expanded', 'true');
+    if(recentIndex >= 0) {
+      searchBox.setAttribute('aria-activedescendant', recentNode.id + '-' + recentIndex);
+    } else {
+      searchBox.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  var pickRecent = function(index) {
+    if(index >= recentOffered.length) {
+      recent = [];
+      store.remove('recent');
+    } else {
+      $(and)(searchBox)(on('value'))(setValue(recentOffered[index]))();
+      searchEvent();
+      remember(recentOffered[index]);
+    }
+    closeRecent();
+  }
+
+  var remember = function(query) {
+    if(!recentNode || !query) { return; }
+    recent = [query].concat(recent.filter((entry) => entry != query)).slice(0, settings.recentSearches);
+    store.write('recent', recent);
+  }
+
+  var rememberEvent = function() {
+    remember(getQuery());
+  }
+
+  var recentKeyEvent = function(e) {
+    var open = recentNode.style.display != 'none';
+    var count = (open) ? recentOffered.length + 1 : 0;
+
+    if(e.key == 'ArrowDown' || e.key == 'ArrowUp') {
+      e.preventDefault();
+      if(!open) { return openRecent(); }
+      var step = (e.key == 'ArrowDown') ? 1 : -1;
+      recentIndex = (recentIndex < 0 && step < 0) ? count - 1 : (recentIndex + step + count) % count;
+      renderRecent();
+    } else if(e.key == 'Enter' && open && recentIndex >= 0) {
+      e.preventDefault();
+      pickRecent(recentIndex);
+    } else if(e.key == 'Escape' && open) {
+      e.preventDefault();
+      closeRecent();
+    }
+  }
+
+  var recentPickEvent = function(e) {
+    var option = e.target.closest('[role="option"]');
+    if(!option) { return; }
+    e.preventDefault();
+    pickRecent(Array.from(recentNode.children).indexOf(option));
+  }
+
+  var attachSort = function() {
+    sortBox = $(make('select', {"className": "student-sort"}))
+              (and)(appendTo(searchNode))();
+    sortBox.setAttribute('aria-label', 'Sort ' + settings.itemName);
+
+    Object.keys(settings.sorts).forEach(function(key) {
+      $(make('option', {"value": key, "textContent": settings.sorts[key].label}))
+      (and)(appendTo(sortBox))();
+    });
+
+    $(and)(sortBox)(on('value'))(setValue(state.sort))();
+
+    sortBox.addEventListener('change', sortEvent);
+  }
+
+  var makePage = function(query, page) {
+
+    var items = ordered();
+    var array;
+
+    var compare = (settings.sorts[state.sort]) ? settings.sorts[state.sort].compare : null;
+
+    if(settings.fuzzy && query) {
+      var scorer = createScorer(query, settings.searchFields, readTexts);
+      /* a chosen sort orders the matches instead of how well they match */
+      array = (compare) ? then(items)('filter')((item) => scorer(item) > 0)() :
+                          then(items)(rank(scorer))();
+      previous = null;
+    } else {
+      var present = new Set(items);
+      var pool = (previous && narrows(previous.query, query, settings.searchFields)) ?
+                 previous.matches.filter((item) => present.has(item)) : items;
+      array = then(pool)('filter')(createMatcher(query, settings.searchFields, readTexts))();
+      previous = { "query": query, "matches": array };
+    }
+
+    array = applyFacets(array, studentOf);
+
+    if(compare) {
+      array = sortItems(array, compare);
+    }
+
+    /* only a sort or a ranking moves items, otherwise they stay where the markup had them */
+    var matched = new Set(array);
+    var order = (compare || (settings.fuzzy && query)) ?
+                array.concat(items.filter((item) => !matched.has(item))) : items;
+
+    var length = pageLength(array.length);
+    var totalPages = Math.max(1, Math.ceil(array.length / length));
+    page = state.page = Math.min(Math.max(1, page), totalPages);
+
+    var first = (scrolling()) ? 0 : (page - 1) * length;
+    var last = page * length;
+
+    var visible = then(array)('slice')(first, last)();
+    var onPage = new Set(visible);
+
+    /* only touch the items whose visibility changes. hide reads the styles it
+       needs before it writes, and the items are moved after, so the styles
+       of the list are worked out once however many items change */
+    var hiding = items.filter((item) => !onPage.has(item) && !hidden.has(item));
+    var showing = visible.filter((item) => hidden.has(item));
+
+    hiding.forEach((item) => hidden.add(item));
+    showing.forEach((item) => hidden.delete(item));
+    /* the first page is just shown */
+    if(settings.fade && lastDetail) {
+      crossFade(hiding, showing);
+    } else {
+      then(hiding)(hide)();
+      then(showing)(show)();
+    }
+    arrange(order);
+
+    markMatches(visible, query);
+
+    createPageLinks(array.length, page);
+
+    describe(pageInfo(first, visible.length, array.length));
+    rendered(visible, array, array.length);
+    updateMore(last < array.length);
+
+    syncSelection(visible.map(studentOf), visible, matchingFrom(array.map(studentOf)));
+  }
+
+  /* the items coming in wait for the ones leaving, so both are never on screen together */
+  var crossFade = function(hiding, showing) {
+    then(hiding)(fadeOut(settings.fade))
+    /* a page rendered since may have hidden some of them again */
+    (then)(wait(() => showing.filter((item) => !hidden.has(item))))
+    (then)(fadeIn(settings.fade))();
+  }
+
+  var pageInfo = function(first, shown, total) {
+    return {
+      "first": (shown) ? first + 1 : 0,
+      "last": first + shown,
+      "total": total,
+      "page": state.page,
+      "pages": Math.ceil(total / pageLength(total)),
+      "query": state.query,
+      "itemName": settings.itemName
+    };
+  }
+
+  var describe = function(info) {
+    fill(summaryNode, settings.summaryTemplate(info));
+
+    if(info.total) {
+      hide(emptyNode);
+    } else {
+      fill(emptyNode, settings.emptyTemplate(info));
+      show(emptyNode);
+    }
+
+    var range = (info.total) ? info.first + '–' + info.last : '0';
+    var matching = (info.query) ? ' matching \'' + info.query + '\'' : '';
+    liveNode.textContent = 'Showing ' + range + ' of ' + info.total + ' ' + settings.itemName + matching;
+  }
+
+  /* fires an event on the list, and the matching callback; false when it was cancelled */
+  var emit = function(name, detail, cancelable) {
+    var event = new CustomEvent(name, { "detail": detail, "cancelable": !!cancelable });
+    container.dispatchEvent(event);
+    if(typeof settings.on[name] == 'function') { settings.on[name].call(instance, event); }
+    return !event.defaultPrevented;
+  }
+
+  var rendered = function(visible, matched, total) {
+    var before = lastDetail;
+    lastDetail = {
+      "page": state.page,
+      "totalPages": Math.max(1, Math.ceil(total / pageLength(total))),
+      "query": state.query,
+      "total": total,
+      "visible": visible,
+      "matched": matched
+    };
+
+    emit('render', lastDetail);
+    if(before && before.page != state.page) { emit('pagechange', lastDetail); }
+    if(before && before.query != state.query) { emit('search', lastDetail); }
+    if(!total) { emit('empty', lastDetail); }
+  }
+
+  var allowPageChange = function(page) {
+    if(!lastDetail) { return true; }
+    return emit('beforepagechange', extend(lastDetail, {"to": page}), true);
+  }
+
+  var clearEvent = function(e) {
+    if(e.target.closest('.clear-search')) {
+      search('');
+      searchBox.focus();
+    }
+  }
+
+  var loadPage = function(append) {
+    var request = ++requests;
+    if(controller) { controller.abort(); }
+    controller = (typeof AbortController == 'function') ? new AbortController() : null;
+
+    showStatus('loading');
+
+    /* in scroll mode every page up to the current one is on screen, so fetch them as one */
+    var together = scrolling() && !append;
+
+    Promise.resolve({
+      "page": (together) ? 1 : state.page,
+      "size": (together) ? state.size * state.page : state.size,
+      "query": state.query,
+      "sort": state.sort,
+      "filters": state.filters,
+      "signal": (controller) ? controller.signal : undefined
+    }).then(fetchPage).then(function(result) {
+      /* a newer request has been made since, so this answer is stale */
+      if(request != requests) { return; }
+      controller = null;
+
+      var totalPages = Math.max(1, Math.ceil(result.total / pageLength(result.total)));
+      if(state.page > totalPages) {
+        state.page = totalPages;
+        if(settings.history) { writeLocation(state, settings.historyKey, initial, false); }
+        return loadPage();
+      }
+
+      renderRecords(result.items, append);
+      showStatus(null);
+
+      var items = getItems();
+      var first = (scrolling()) ? 0 : (state.page - 1) * state.size;
+      var shown = (scrolling()) ? items.length : result.items.length;
+
+      markMatches(items, state.query);
+      createPageLinks(result.total, state.page);
+      describe(pageInfo(first, shown, result.total));
+      rendered(items, result.items, result.total);
+      updateMore(first + shown < result.total);
+
+      var matching = function() {
+        var everything = extend(state, {"page": 1, "size": 0});
+        return Promise.resolve(everything).then(fetchPage).then((all) => all.items);
+      }
+      matching.count = result.total;
+      syncSelection(items.map((item) => studentFor.get(item)), items, matching);
+
+      /* the counts are taken from every text match, whatever is checked */
+      if(facets) {
+        return fetchPage(extend(state, {"page": 1, "size": 0, "filters": {}})).then(function(all) {
+          if(request == requests) { renderFacets(all.items); }
+        });
+      }
+    }).catch(function() {
+      if(request != requests) { return; }
+      controller = null;
+      showStatus('error');
+    });
+  }
+
+  var studentOf = function(element) {
+    if(!readStudents.has(element)) { readStudents.set(element, readStudent(element)); }
+    return readStudents.get(element);
+  }
+
+  var attachFacets = function() {
+    var known = (students) ? students :
+                (Array.isArray(settings.source)) ? settings.source : originalOrder.map(studentOf);
+    facets = extend(settings.facets, (settings.dataFacets) ? dataFacets(known) : {});
+    /* the students of an array source are filtered by the source, so it needs every facet */
+    if(fetchPage) { fetchPage = createLocalSource(settings.source, modelOptions(settings, facets)); }
+
+    facetNode = $(make('aside', {"className": "facets"}))();
+    facetNode.setAttribute('aria-label', 'Filter ' + settings.itemName);
+
+    if(settings.facetMount) {
+      $(and)(facetNode)(appendTo(resolve(settings.facetMount)))();
+    } else {
+      container.parentNode.insertBefore(facetNode, container);
+    }
+
+    facetNode.addEventListener('change', facetEvent);
+    facetNode.addEventListener('click', clearFiltersEvent);
+  }
+
+  /* narrows the text matches down to the checked facet values, and updates the counts */
+  var applyFacets = function(list, read) {
+    if(!facets) { return list; }
+    var matched = list.map(read);
+    renderFacets(matched);
+    var passes = facetFilter(facets, state.filters);
+    return list.filter((entry, index) => passes(matched[index]));
+  }
+
+  var renderFacets = function(matched) {
+    var key = [state.query, JSON.stringify(state.filters), matched.length].join('|');
+    if(key == facetKey) { return; }
+    facetKey = key;
+
+    var focused = (facetNode.contains(document.activeElement)) ? document.activeElement : null;
+    var focusedName = (focused) ? focused.name : null;
+    var focusedValue = (focused) ? focused.value : null;
+
+    facetNode.textContent = '';
+
+    countFacets(matched, facets, state.filters).forEach(function(facet) {
+      var group = $(make('fieldset', {"className": "facet"}))(and)(appendTo(facetNode))();
+      $(make('legend', {"textContent": facet.label}))(and)(appendTo(group))();
+
+      facet.values.forEach(function(entry) {
+        var label = $(make('label', {"className": "facet-value"}))(and)(appendTo(group))();
+        var box = $(make('input', {"type": "checkbox", "name": facet.key, "value": entry.value}))
+                  (and)(appendTo(label))();
+        box.checked = entry.checked;
+        box.disabled = !entry.count && !entry.checked;
+        label.appendChild(document.createTextNode(' ' + entry.value + ' (' + entry.count + ')'));
+      });
+    });
+
+    var active = Object.keys(state.filters).some((name) => state.filters[name].length);
+    if(active) {
+      $(make('button', {"type": "button", "className": "clear-filters", "textContent": "Clear filters"}))
+      (and)(appendTo(facetNode))();
+    }
+
+    if(focused) {
+      var same = Array.from(facetNode.querySelectorAll('input'))
+                      .filter((box) => box.name == focusedName && box.value == focusedValue)[0];
+      (same || facetNode.querySelector('input') || searchBox).focus();
+    }
+  }
+
+  var facetEvent = function(e) {
+    var box = e.target;
+    if(box.type != 'checkbox') { return; }
+
+    var checked = (state.filters[box.name] || []).filter((value) => value != box.value);
+    if(box.checked) { checked.push(box.value); }
+    state.filters[box.name] = checked;
+    state.page = 1;
+    navigate('filter');
+  }
+
+  var clearFiltersEvent = function(e) {
+    if(!e.target.closest('.clear-filters')) { return; }
+    state.filters = {};
+    state.page = 1;
+    navigate('filter');
+  }
+
+  var attachSelection = function() {
+    selectionNode = $(make('div', {"className": "selection-bar"}))();
+    container.parentNode.insertBefore(selectionNode, container);
+
+    var label = $(make('label', {"className": "select-page"}))(and)(appendTo(selectionNode))();
+    pageBox = $(make('input', {"type": "checkbox"}))(and)(appendTo(label))();
+    label.appendChild(document.createTextNode(' Select page'));
+
+    selectedCount = $(make('span', {"className": "selected-count"}))(and)(appendTo(selectionNode))();
+    matchingButton = $(make('button', {"type": "button", "className": "select-matching"}))
+                     (and)(appendTo(selectionNode))();
+    $(make('button', {"type": "button", "className": "clear-selection", "textContent": "Clear selection"}))
+    (and)(appendTo(selectionNode))();
+
+    pageBox.addEventListener('change', selectPageEvent);
+    selectionNode.addEventListener('click', selectionBarEvent);
+    container.addEventListener('change', selectItemEvent);
+  }
+
+  /* gives a rendered item its checkbox, checked to match the selection */
+  var decorate = function(element, student) {
+    studentFor.set(element, student);
+    var box = element.querySelector('.select-item');
+    if(!box) {
+      box = $(make('input', {"type": "checkbox", "className": "select-item"}))();
+      box.setAttribute('aria-label', 'Select ' + (student.name || ''));
+      element.insertBefore(box, element.firstChild);
+    }
+    box.checked = selected.has(settings.selectionKey(student));
+  }
+
+  /* called after every render with the students on the page and how to get every match */
+  var syncSelection = function(students, elements, matching) {
+    allMatching = matching;
+    if(!selectionNode) { return; }
+    pageStudents = students;
+    elements.forEach((element) => decorate(element, studentFor.get(element) || studentOf(element)));
+    updateSelectionBar(matching.count);
+  }
+
+  var updateSelectionBar = function(total) {
+    var onPage = pageStudents.filter((student) => selected.has(settings.selectionKey(student))).length;
+    pageBox.checked = onPage > 0 && onPage == pageStudents.length;
+    pageBox.indeterminate = onPage > 0 && onPage < pageStudents.length;
+
+    selectedCount.textContent = selected.size + ' selected';
+    if(total !== undefined) {
+      matchingButton.textContent = 'Select all ' + total + ' matching';
+      (total > pageStudents.length) ? show(matchingButton) : hide(matchingButton);
+    }
+  }
+
+  var changeSelection = function(students, select) {
+    students.forEach(function(student) {
+      var key = settings.selectionKey(student);
+      (select) ? selected.set(key, student) : selected.delete(key);
+    });
+
+    getItems().forEach(function(element) {
+      var student = studentFor.get(element);
+      var box = element.querySelector('.select-item');
+      if(student && box) { box.checked = selected.has(settings.selectionKey(student)); }
+    });
+    updateSelectionBar();
+
+    container.dispatchEvent(new CustomEvent('selectionchange', { "detail": {
+      "count": selected.size,
+      "students": getSelection()
+    }}));
+  }
+
+  var selectItemEvent = function(e) {
+    if(!e.target.classList.contains('select-item')) { return; }
+    var student = studentFor.get(e.target.closest(settings.itemSelector));
+    if(student) { changeSelection([student], e.target.checked); }
+  }
+
+  var selectPageEvent = function() {
+    changeSelection(pageStudents, pageBox.checked);
+  }
+
+  var selectionBarEvent = function(e) {
+    if(e.target.closest('.select-matching')) {
+      allMatching().then((students) => changeSelection(students, true)).catch(showFailure);
+    } else if(e.target.closest('.clear-selection')) {
+      clearSelection();
+    }
+  }
+
+  var getSelection = function() {
+    return Array.from(selected.values());
+  }
+
+  var clearSelection = function() {
+    changeSelection(getSelection(), false);
+  }
+
+  var attachExport = function() {
+    exportNode = $(make('div', {"className": "export"}))(and)(appendTo(searchNode))();
+    $(make('button', {"type": "button", "value": "csv", "textContent": "Export CSV"}))
+    (and)(appendTo(exportNode))();
+    $(make('button', {"type": "button", "value": "json", "textContent": "Export JSON"}))
+    (and)(appendTo(exportNode))();
+
+    exportNode.addEventListener('click', exportEvent);
+  }
+
+  var exportEvent = function(e) {
+    var button = e.target.closest('button');
+    if(button) { downloadResults(button.value).catch(showFailure); }
+  }
+
+  /* every match across all pages, in the order shown, as "csv" or "json" */
+  var exportResults = function(format) {
+    return Promise.resolve().then(() => allMatching()).then(function(students) {
+      return (format == 'json') ? toJSON(students) : toCSV(students);
+    });
+  }
+
+  var downloadResults = function(format) {
+    return exportResults(format).then(function(text) {
+      var type = (format == 'json') ? 'application/json' : 'text/csv';
+      download(text, settings.exportName + '.' + ((format == 'json') ? 'json' : 'csv'), type);
+      return text;
+    });
+  }
+
+  var matchingFrom = function(students) {
+    var matching = () => Promise.resolve(students);
+    matching.count = students.length;
+    return matching;
+  }
+
+  var attachVirtual = function() {
+    students = (Array.isArray(settings.source)) ? settings.source : originalOrder.map(readStudent);
+    originalOrder.forEach((item) => item.remove());
+    select = createModel(students, modelOptions(settings));
+
+    topSpacer = $(make('li', {"className": "virtual-spacer"}))(and)(appendTo(container))();
+    bottomSpacer = $(make('li', {"className": "virtual-spacer"}))(and)(appendTo(container))();
+    topSpacer.setAttribute('aria-hidden', 'true');
+    bottomSpacer.setAttribute('aria-hidden', 'true');
+
+    window.addEventListener('scroll', scrollEvent);
+    window.addEventListener('resize', scrollEvent);
+  }
+
+  var renderVirtual = function() {
+    matches = applyFacets(select(state.query, state.sort, settings.fuzzy), (student) => student);
+
+    var total = matches.length;
+    var length = pageLength(total);
+    var totalPages = Math.max(1, Math.ceil(total / length));
+    state.page = Math.min(Math.max(1, state.page), totalPages);
+
+    var first = (scrolling()) ? 0 : (state.page - 1) * length;
+    var last = Math.min(state.page * length, total);
+    range = [first, last];
+    drawn = null;
+
+    drawRows();
+    createPageLinks(total, state.page);
+    describe(pageInfo(first, last - first, total));
+    rendered(getItems(), matches, total);
+    updateMore(last < total);
+  }
+
+  var syncVirtualSelection = function(elements) {
+    syncSelection(matches.slice(range[0], range[1]), elements, matchingFrom(matches));
+  }
+
+  var rowHeight = function() {
+    if(settings.rowHeight) { return settings.rowHeight; }
+    if(!measuredHeight) {
+      var row = getItems()[0];
+      if(!row) { return 60; }
+      var style = getComputedStyle(row);
+      measuredHeight = row.offsetHeight + parseFloat(style.marginTop) + parseFloat(style.marginBottom);
+    }
+    return measuredHeight || 60;
+  }
+
+  var drawRows = function() {
+    var start = range[0];
+    var end = range[1];
+    var height = rowHeight();
+
+    if(scrolling()) {
+      /* only the loaded rows in and around the viewport */
+      var top = container.getBoundingClientRect().top;
+      var above = Math.floor(-top / height) - settings.overscan;
+      var below = Math.ceil((window.innerHeight - top) / height) + settings.overscan;
+      start = Math.min(Math.max(range[0], above), range[1]);
+      end = Math.min(Math.max(start, below), range[1]);
+    }
+
+    if(drawn && drawn[0] == start && drawn[1] == end) { return; }
+    drawn = [start, end];
+
+    var fragment = document.createDocumentFragment();
+    var items = matches.slice(start, end).map(rowFor);
+    items.forEach((item) => fragment.appendChild(item));
+
+    getItems().forEach((item) => item.remove());
+    container.insertBefore(fragment, bottomSpacer);
+
+    topSpacer.style.height = (start - range[0]) * height + 'px';
+    bottomSpacer.style.height = (range[1] - end) * height + 'px';
+
+    markMatches(items, state.query);
+    syncVirtualSelection(items);
+  }
+
+  var rowFor = function(student) {
+    if(!rows.has(student)) {
+      var row = settings.template(student);
+      studentFor.set(row, student);
+      rows.set(student, row);
+    }
+    return rows.get(student);
+  }
+
+  var scrollEvent = function() {
+    if(!scrolling() || scrollFrame) { return; }
+    scrollFrame = requestAnimationFrame(function() {
+      scrollFrame = null;
+      drawRows();
+    });
+  }
+
+  var renderRecords = function(records, append) {
+    var fragment = document.createDocumentFragment();
+    records.forEach(function(record) {
+      var item = $(and)(settings.template(record))(appendTo(fragment))();
+      studentFor.set(item, record);
+    });
+    if(!append) { getItems().forEach((item) => item.remove()); }
+    container.appendChild(fragment);
+  }
+
+  var showStatus = function(kind) {
+    container.classList.toggle('loading', kind == 'loading');
+    container.setAttribute('aria-busy', String(kind == 'loading'));
+
+    statusNode.className = 'pagination-status' + ((kind) ? ' ' + kind : '');
+    statusNode.textContent = (kind == 'loading') ? settings.loadingText :
+                             (kind == 'error') ? settings.errorText : '';
+
+    if(kind == 'error') {
+      hide(emptyNode);
+      $(make('button', {"type": "button", "textContent": "Try again"}))(and)(appendTo(statusNode))();
+    }
+
+    (kind) ? show(statusNode) : hide(statusNode);
+  }
+
+  /* a request made for the user failed, which only a fetchPage source can do */
+  var showFailure = function() {
+    if(statusNode) { showStatus('error'); }
+  }
+
+  var retryEvent = function(e) {
+    if(e.target.tagName == 'BUTTON') { render(); }
+  }
+
+  var markMatches = function(items, query) {
+    marked.forEach(unhighlight);
+    marked = [];
+
+    var tokens = parseQuery(query, settings.searchFields);
+    if(tokens.length == 0) { return; }
+
+    items.forEach(function(item) {
+      settings.highlightFields.forEach(function(name) {
+        var field = settings.searchFields[name];
+        var target = (typeof field == 'string') ? item.querySelector(field) : null;
+        if(!target) { return; }
+        var terms = tokens.filter((token) => !token.field || token.field == name)
+                          .map((token) => token.value);
+        marked.push(highlight(target, terms));
+      });
+    });
+  }
+
+  /* puts the items in order, moving only the ones out of place */
+  var arrange = function(order) {
+    var cursor = nextItem(container.firstElementChild);
+    order.forEach(function(item) {
+      if(item === cursor) {
+        cursor = nextItem(cursor.nextElementSibling);
+      } else {
+        container.insertBefore(item, cursor);
+      }
+    });
+  }
+
+  /* the first item from this node on */
+  var nextItem = function(node) {
+    while(node && !node.matches(settings.itemSelector)) { node = node.nextElementSibling; }
+    return node;
+  }
+
+  var createPageLinks = function(count, active) {
+
+    /* the links only change with the page, the page count or what their hrefs hold */
+    var key = [count, active, state.size, state.query, state.sort].join('|');
+    if(listNode && key == pagerKey) { return; }
+    pagerKey = key;
+
+    /* remember which control had focus, so it isn't lost with the old list */
+    var focused = (listNode && listNode.contains(document.activeElement)) ?
+                  document.activeElement.parentNode.className.split(' ')[0] : null;
+
+    if(listNode) { listNode.remove(); }
+
+    listNode = $(make('ul', {"className": "list"}))(and)(appendTo(paginationNode))();
+
+    pageCount = Math.ceil(count / pageLength(count));
+
+    if(pageCount == 0) { return; }
+
+    pagerLinks(active, pageCount, settings.pagerWindow).forEach(function(link) {
+
+      var item = $(make('li', { "className": 'pager-' + link.type }))
+                 (and)(toggleClass('pager-far', !!link.far))
+                 (and)(appendTo(listNode))();
+      $(and)(linkFor(link))(appendTo(item))();
+    });
+
+    if(focused) { restoreFocus(focused); }
+  }
+
+  var linkFor = function(link) {
+    if(link.type == 'gap') {
+      return $(make('span', {"textContent": link.label}))(and)(attr('aria-hidden', 'true'))();
+    }
+
+    var anchor = $(make('a', {"textContent": link.label}))(and)(attr('aria-label', link.title))();
+    if(link.page === null) {
+      return $(and)(anchor)(addClass('disabled'))(and)(attr('aria-disabled', 'true'))();
+    }
+
+    return $(and)(anchor)(attr('href', (settings.history) ? pageHref(link.page) : '#'))
+           (and)(data('page', link.page))
+           (and)(toggleClass('active', !!link.active))
+           (and)(attr('aria-current', (link.active) ? 'page' : null))();
+  }
 
-init();
+  var restoreFocus = function(type) {
+    var same = (type == 'pager-page') ? listNode.querySelector('a.active') :
+                                        listNode.querySelector('.' + type + ' a[href]');
+    var target = same || listNode.querySelector('a.active');
+    if(target) { target.focus(); }
+  }
+
+  var pagerKeyEvent = function(e) {
+    if(!listNode || !listNode.contains(e.target)) { return; }
+
+    var moves = {
+      "ArrowLeft": state.page - 1,
+      "ArrowRight": state.page + 1,
+      "Home": 1,
+      "End": pageCount
+    };
+    if(!(e.key in moves)) { return; }
+
+    e.preventDefault();
+    var page = Math.min(Math.max(1, moves[e.key]), pageCount);
+    if(page != state.page) { goTo(page); }
+  }
+
+  var pageHref = function(page) {
+    var link = extend(state, {"page": page});
+    return locationFor(link, settings.historyKey, initial);
+  }
+
+  var pageEvent = function(e) {
+    e.preventDefault();
+
+    var link = $('a[data-page]', within(this))();
+
+    if(link) { goTo(parseInt($(and)(link)(on('#page'))(getValue())(), 10)); }
+  }
+
+  var keyEvent = function(e) {
+    clearTimeout(searchTimer);
+    if(e.key == 'Enter') {
+      searchEvent();
+      remember(state.query);
+    } else {
+      searchTimer = setTimeout(searchEvent, settings.searchDelay);
+    }
+  }
+
+  var searchEvent = function() {
+    clearTimeout(searchTimer);
+    var query = getQuery();
+    if(query == state.query) { return; }
+    state.query = query;
+    state.page = 1;
+    navigate('search');
+  }
+
+  var sortEvent = function() {
+    state.sort = $(and)(sortBox)(on('value'))(getValue())();
+    state.page = 1;
+    navigate('sort');
+  }
+
+  var sizeEvent = function() {
+    var size = parseInt($(and)(sizeBox)(on('value'))(getValue())(), 10);
+    /* stay on the page holding the first item that was on screen */
+    var firstItem = (state.page - 1) * state.size;
+    state.page = (size) ? Math.floor(firstItem / size) + 1 : 1;
+    state.size = size;
+    storeSize(size);
+    navigate('size');
+  }
+
+  var readStoredSize = function() {
+    return store.read('size', (size) => typeof size == 'number' && size >= 0);
+  }
+
+  var storeSize = function(size) {
+    store.write('size', size);
+  }
+
+  var readPreferences = function() {
+    var stored = store.read('preferences', (value) => !!value && typeof value == 'object');
+    if(!stored) { return; }
+    if(stored.page > 0) { state.page = stored.page; }
+    if(typeof stored.query == 'string') { state.query = stored.query; }
+    if(typeof stored.size == 'number' && stored.size >= 0) { state.size = stored.size; }
+    if(settings.sorts[stored.sort]) { state.sort = stored.sort; }
+    showState(state.query);
+  }
+
+  var storePreferences = function() {
+    store.write('preferences', {
+      "page": state.page,
+      "query": state.query,
+      "size": state.size,
+      "sort": state.sort
+    });
+  }
+
+  var popEvent = function() {
+    restoreLocation();
+    lastAction = null;
+    render();
+    if(settings.persist) { storePreferences(); }
+  }
+
+  var navigate = function(action) {
+    render(action == 'more');
+    if(settings.history) {
+      /* a run of keystrokes in the search box makes a single history entry,
+         and loading more replaces the entry instead of adding one */
+      var push = (action != 'more') && (action != 'search' || lastAction != 'search');
+      writeLocation(state, settings.historyKey, initial, push);
+    }
+    lastAction = action;
+    if(settings.persist) { storePreferences(); }
+  }
+
+  /* reads the state from the URL, where anything left out takes its value from the defaults */
+  var restoreLocation = function(defaults) {
+    var restored = readLocation(settings.historyKey, defaults || initial);
+    state.page = restored.page;
+    state.size = restored.size;
+    state.query = restored.query.toLowerCase().trim();
+    state.sort = (settings.sorts[restored.sort]) ? restored.sort : initial.sort;
+    showState(restored.query);
+  }
+
+  /* puts the state into the controls */
+  var showState = function(query) {
+    $(and)(searchBox)(on('value'))(setValue(query))();
+    $(and)(sortBox)(on('value'))(setValue(state.sort))();
+    $(and)(sizeBox)(on('value'))(setValue(String(state.size)))();
+  }
+
+  var getQuery = function() {
+
+    var query = (!searchBox) ? '' : $(and)(searchBox)(on('value'))(getValue())();
+
+    return query.toLowerCase().trim();
+  }
+
+  var goTo = function(page) {
+    if(!allowPageChange(page)) { return; }
+    state.page = page;
+    navigate('page');
+  }
+
+  var search = function(query) {
+    $(and)(searchBox)(on('value'))(setValue(query))();
+    searchEvent();
+  }
+
+  var sort = function(key) {
+    $(and)(sortBox)(on('value'))(setValue(key))();
+    sortEvent();
+  }
+
+  var setPageSize = function(size) {
+    $(and)(sizeBox)(on('value'))(setValue(String(size)))();
+    sizeEvent();
+  }
+
+  var render = function(append) {
+    if(select) {
+      renderVirtual();
+    } else if(fetchPage) {
+      loadPage(append);
+    } else {
+      makePage(state.query, state.page);
+      /* the items just moved are our own doing, not something to refresh for */
+      if(watcher) { watcher.takeRecords(); }
+    }
+  }
+
+  var isItem = function(node) {
+    return node.nodeType == Node.ELEMENT_NODE && node.matches(settings.itemSelector);
+  }
+
+  var attachWatcher = function() {
+    watcher = new MutationObserver(watchEvent);
+    watcher.observe(container, { "childList": true });
+  }
+
+  var watchEvent = function(records) {
+    var added = [];
+    var removed = false;
+    records.forEach(function(record) {
+      added = added.concat(Array.from(record.addedNodes).filter(isItem));
+      removed = removed || Array.from(record.removedNodes).some(isItem);
+    });
+    if(!added.length && !removed) { return; }
+
+    /* an item copied from a hidden one comes in hidden, and has to be shown like it */
+    added.filter((item) => item.style.display == 'none').forEach((item) => hidden.add(item));
+    refresh();
+  }
+
+  var loadMore = function() {
+    /* wait for the page being fetched before asking for the next one */
+    if(!moreToLoad || controller) { return; }
+    if(!allowPageChange(state.page + 1)) { return; }
+    state.page++;
+    navigate('more');
+  }
+
+  var setMode = function(mode) {
+    settings.mode = mode;
+    render();
+  }
+
+  var refresh = function() {
+    /* the items may have changed, so nothing read from them can be trusted */
+    readTexts = createTextCache(settings.searchFields);
+    sortItems = createSortCache();
+    previous = null;
+    facetKey = null;
+    readStudents = new WeakMap();
+    if(select) { select = createModel(students, modelOptions(settings)); }
+    pagerKey = null;
+    render();
+  }
+
+  var destroy = function() {
+    clearTimeout(searchTimer);
+    if(watcher) { watcher.disconnect(); }
+    searchBox.removeEventListener('keyup', keyEvent);
+    if(recentNode) {
+      searchBox.removeEventListener('keydown', recentKeyEvent);
+      searchBox.removeEventListener('input', openRecent);
+      searchBox.removeEventListener('focus', openRecent);
+      searchBox.removeEventListener('blur', closeRecent);
+      searchBox.removeEventListener('change', rememberEvent);
+      recentNode.removeEventListener('mousedown', recentPickEvent);
+    }
+    sortBox.removeEventListener('change', sortEvent);
+    sizeBox.removeEventListener('change', sizeEvent);
+    $(and)(paginationNode)(unlisten('.pager'))();
+    if(facetNode) {
+      facetNode.removeEventListener('change', facetEvent);
+      facetNode.removeEventListener('click', clearFiltersEvent);
+      facetNode.remove();
+    }
+    if(selectionNode) {
+      pageBox.removeEventListener('change', selectPageEvent);
+      selectionNode.removeEventListener('click', selectionBarEvent);
+      container.removeEventListener('change', selectItemEvent);
+      selectionNode.remove();
+      Array.from(container.querySelectorAll('.select-item')).forEach((box) => box.remove());
+    }
+    if(exportNode) { exportNode.removeEventListener('click', exportEvent); }
+    emptyNode.removeEventListener('click', clearEvent);
+    emptyNode.remove();
+    moreButton.removeEventListener('click', loadMore);
+    sentinel.remove();
+    if(observer) { observer.disconnect(); }
+    window.removeEventListener('popstate', popEvent);
+    searchNode.remove();
+    paginationNode.remove();
+
+    if(fetchPage) {
+      requests++;
+      if(controller) { controller.abort(); }
+      statusNode.remove();
+      container.classList.remove('loading');
+      container.removeAttribute('aria-busy');
+    } else if(select) {
+      window.removeEventListener('scroll', scrollEvent);
+      window.removeEventListener('resize', scrollEvent);
+      cancelAnimationFrame(scrollFrame);
+      marked.forEach(unhighlight);
+      topSpacer.remove();
+      bottomSpacer.remove();
+      /* put back the markup the students were read from */
+      if(!Array.isArray(settings.source)) {
+        getItems().forEach((item) => item.remove());
+        originalOrder.forEach((item) => container.appendChild(item));
+      }
+    } else {
+      marked.forEach(unhighlight);
+      arrange(ordered());
+      then(getItems())(show)();
+    }
+    giveBack(number);
+    number = null;
+  }
+
+  var init = function() {
+
+    var storedSize = readStoredSize();
+    if(storedSize !== null) { state.size = storedSize; }
+
+    originalOrder = getItems();
+    attachPagination();
+    attachSearch();
+    attachMore();
+    attachEmpty();
+    if(fetchPage) { attachStatus(); }
+    if(virtual) { attachVirtual(); }
+    if(settings.facets && (!fetchPage || Array.isArray(settings.source))) { attachFacets(); }
+    if(settings.selectable) { attachSelection(); }
+    if(settings.exportable) { attachExport(); }
+    if(settings.watch && !fetchPage && !select && typeof MutationObserver == 'function') {
+      attachWatcher();
+    }
+
+    if(settings.persist) { readPreferences(); }
+
+    if(settings.history) {
+      /* the URL wins over the preferences, but only for what it holds */
+      restoreLocation(state);
+      window.addEventListener('popstate', popEvent);
+    }
+
+    render();
+
+  }
+
+  var instance = {
+    "goTo": goTo,
+    "search": search,
+    "sort": sort,
+    "setPageSize": setPageSize,
+    "setMode": setMode,
+    "loadMore": loadMore,
+    "getSelection": getSelection,
+    "clearSelection": clearSelection,
+    "exportResults": exportResults,
+    "downloadResults": downloadResults,
+    "refresh": refresh,
+    "destroy": destroy
+  };
+
+  init();
+
+  return instance;
+}
@@ -0,0 +1,224 @@
+'use strict';
+
+import { fuzzyScore } from './fquery';
+
+/**
+ *  @file search
+ *  @summary Tokenized, multi-field search used by the paginator
+ *
+ */
+
+/**
+ * Turns a two digit year from the "Joined MM/DD/YY" text into a full year.
+ * @private
+ * @param {string} year
+ * @returns {number}
+ *
+ */
+var fullYear = function(year) {
+  var number = parseInt(year, 10);
+  if(year.length > 2) { return number; }
+  return (number > 50) ? 1900 + number : 2000 + number;
+}
+
+/**
+ * Reads the date out of a "Joined MM/DD/YY" text.
+ * @param {string} text
+ * @returns {?Date} null when the text holds no date
+ *
+ */
+export var parseJoined = function(text) {
+  var parts = String(text).match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if(!parts) { return null; }
+  return new Date(fullYear(parts[3]), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+}
+
+/**
+ * Reads the join date of a student, adding the full year to the text so a
+ * search for "2015" finds "Joined 07/15/15".
+ * @param {Element} element - A student item
+ * @returns {string}
+ *
+ */
+export var joinedText = function(element) {
+  var date = element.querySelector('.date');
+  var text = (date) ? date.textContent : '';
+  var joined = parseJoined(text);
+  return (joined) ? text + ' ' + joined.getFullYear() : text;
+}
+
+/**
+ * The fields searched on a student item. Each field is either a selector for
+ * a descendant whose text is searched, or a function that returns the text.
+ * The keys double as the qualifiers understood in a query, as in "email:gmail".
+ */
+export var studentFields = {
+  "name": "h3",
+  "email": ".email",
+  "joined": joinedText
+};
+
+/**
+ * Lowercases a string and strips its accents, so "Zoë" and "zoe" compare equal.
+ * @param {string} text
+ * @returns {string}
+ *
+ */
+export var normalize = function(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Reads the text of a single field from an item.
+ * @param {Element} element - The item being searched
+ * @param {string|function} field - A selector or a function returning the text
+ * @returns {string}
+ *
+ */
+export var fieldText = function(element, field) {
+  if(typeof field == 'function') { return field(element); }
+  var target = element.querySelector(field);
+  return (target) ? target.textContent : '';
+}
+
+/**
+ * Reads and normalizes every searchable field of an item.
+ * @param {Element} element - The item being searched
+ * @param {Object} fields - Field names mapped to selectors or functions
+ * @returns {Object} Field names mapped to normalized text
+ *
+ */
+export var readFields = function(element, fields) {
+  var out = {};
+  for(var name in fields) {
+    out[name] = normalize(fieldText(element, fields[name]));
+  }
+  return out;
+}
+
+/**
+ * Creates a reader that reads the fields of each item once and remembers
+ * them, for lists whose items don't change between searches.
+ * @param {Object} fields - Field names mapped to selectors or functions
+ * @returns {function(Element): Object} Reads an item like readFields
+ *
+ */
+export var createTextCache = function(fields) {
+  var cache = new WeakMap();
+  return function(element) {
+    if(!cache.has(element)) { cache.set(element, readFields(element, fields)); }
+    return cache.get(element);
+  }
+}
+
+/**
+ * @typedef {object} SearchToken
+ * @property {?string} field - The field this token is limited to, or null for any field
+ * @property {string} value - The normalized text to look for
+ */
+
+/**
+ * Splits a query into tokens. A token written as "field:value", where field
+ * is one of the field names, only matches against that field.
+ * @param {string} query - The raw query
+ * @param {Object} fields - Field names mapped to selectors or functions
+ * @returns {SearchToken[]}
+ *
+ */
+export var parseQuery = function(query, fields) {
+  return normalize(query).split(/\s+/)
+    .filter((word) => word !== '')
+    .map(function(word) {
+      var qualified = word.match(/^([^:]+):(.*)$/);
+      if(qualified && fields.hasOwnProperty(qualified[1])) {
+        return { "field": qualified[1], "value": qualified[2] };
+      }
+      return { "field": null, "value": word };
+    })
+    .filter((token) => token.value !== '');
+}
+
+/**
+ * Tests a set of field texts against every token of a query.
+ * @param {Object} texts - Field names mapped to normalized text (@see readFields)
+ * @param {SearchToken[]} tokens
+ * @returns {boolean}
+ *
+ */
+export var matchTokens = function(texts, tokens) {
+  return tokens.every(function(token) {
+    if(token.field) { return texts[token.field].includes(token.value); }
+    return Object.keys(texts).some((name) => texts[name].includes(token.value));
+  });
+}
+
+/**
+ * Tests whether every item matching the query also matches the previous
+ * query, so a search can filter the previous results instead of every item.
+ * That holds when each previous token is still there, limited to the same
+ * field, and has only grown, as when typing "co" and then "cox p".
+ * @param {string} previous - The previous raw query
+ * @param {string} query - The new raw query
+ * @param {Object} fields - Field names mapped to selectors or functions
+ * @returns {boolean}
+ *
+ */
+export var narrows = function(previous, query, fields) {
+  var before = parseQuery(previous, fields);
+  var after = parseQuery(query, fields);
+  return before.every(function(token, index) {
+    var next = after[index];
+    return next && next.field === token.field && next.value.includes(token.value);
+  });
+}
+
+/**
+ * Creates a predicate that tests whether an item matches a query.
+ * @param {string} query - The raw query
+ * @param {Object} fields - Field names mapped to selectors or functions
+ * @param {function(Element): Object} [read] - Reads an item's fields (@see createTextCache)
+ * @returns {function(Element): boolean}
+ *
+ */
+export var createMatcher = function(query, fields, read) {
+  var tokens = parseQuery(query, fields);
+  read = read || ((element) => readFields(element, fields));
+  return function(element) {
+    return (tokens.length == 0) || matchTokens(read(element), tokens);
+  }
+}
+
+/**
+ * Scores a set of field texts against every token of a query, tolerating
+ * typos. Every token has to match some field to score above 0, and exact
+ * matches score higher than fuzzy ones (@see fuzzyScore).
+ * @param {Object} texts - Field names mapped to normalized text (@see readFields)
+ * @param {SearchToken[]} tokens
+ * @returns {number}
+ *
+ */
+export var scoreTokens = function(texts, tokens) {
+  if(tokens.length == 0) { return 1; }
+  var scores = tokens.map(function(token) {
+    var names = (token.field) ? [token.field] : Object.keys(texts);
+    return Math.max(...names.map((name) => fuzzyScore(texts[name], token.value)));
+  });
+  if(scores.some((score) => score == 0)) { return 0; }
+  return scores.reduce((total, score) => total + score, 0) / scores.length;
+}
+
+/**
+ * Creates a scoring function that tolerates typos (@see scoreTokens).
+ * @param {string} query - The raw query
+ * @param {Object} fields - Field names mapped to selectors or functions
+ * @param {function(Element): Object} [read] - Reads an item's fields (@see createTextCache)
+ * @returns {function(Element): number}
+ *
+ */
+export var createScorer = function(query, fields, read) {
+  var tokens = parseQuery(query, fields);
+  read = read || ((element) => readFields(element, fields));
+  return function(element) {
+    return scoreTokens(read(element), tokens);
+  }
+}
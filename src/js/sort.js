@@ -0,0 +1,100 @@
+'use strict';
+
+import { fieldText, normalize, parseJoined } from './search';
+
+/**
+ *  @file sort
+ *  @summary Orderings offered by the paginator's sort control
+ *
+ */
+
+/**
+ * @typedef {object} SortOption
+ * @property {string} label - The text shown in the sort control
+ * @property {function(Element, Element): number} compare - Compares two items. The ones
+ *           made by byText and byJoined also carry a `key`, reading what an item is sorted
+ *           by, and an `order` comparing two keys, so each key can be read once (@see
+ *           createSortCache).
+ */
+
+/**
+ * @private
+ * @summary makes a comparison of items out of a key read from each and an order of keys.
+ * @param {function(Element): *} key
+ * @param {function(*, *): number} order
+ * @returns {function(Element, Element): number}
+ *
+ */
+var keyed = function(key, order) {
+  var compare = (a, b) => order(key(a), key(b));
+  compare.key = key;
+  compare.order = order;
+  return compare;
+}
+
+/**
+ * Creates a comparison of two items by the text of a descendant.
+ * @param {string} selector - Selector for the descendant holding the text
+ * @param {boolean} [descending=false]
+ * @returns {function(Element, Element): number}
+ *
+ */
+export var byText = function(selector, descending) {
+  var direction = (descending) ? -1 : 1;
+  return keyed((element) => normalize(fieldText(element, selector)),
+               (first, second) => direction * first.localeCompare(second));
+}
+
+/**
+ * Creates a comparison of two students by join date. Students without a
+ * readable date go last.
+ * @param {boolean} [descending=false] - Newest first
+ * @returns {function(Element, Element): number}
+ *
+ */
+export var byJoined = function(descending) {
+  var direction = (descending) ? -1 : 1;
+  var time = function(element) {
+    var joined = parseJoined(fieldText(element, '.date'));
+    return (joined) ? joined.getTime() : null;
+  }
+  return keyed(time, function(first, second) {
+    if(first === null || second === null) { return (first === null) - (second === null); }
+    return direction * (first - second);
+  });
+}
+
+/**
+ * Creates a sorter that reads the key of each item once and remembers it,
+ * for lists whose items don't change between sorts (@see createTextCache).
+ * A comparison without a key compares the items themselves.
+ * @returns {function(Element[], function(Element, Element): number): Element[]}
+ *          Sorts the items in place, like Array#sort
+ *
+ */
+export var createSortCache = function() {
+  var caches = new WeakMap();
+  return function(items, compare) {
+    if(!compare.key) { return items.sort(compare); }
+    if(!caches.has(compare.key)) { caches.set(compare.key, new WeakMap()); }
+    var cache = caches.get(compare.key);
+    items.forEach(function(item) {
+      if(!cache.has(item)) { cache.set(item, compare.key(item)); }
+    });
+    return items.sort((a, b) => compare.order(cache.get(a), cache.get(b)));
+  }
+}
+
+/**
+ * The orderings offered for a student list, keyed by the value of the sort
+ * control. The empty key keeps the order of the markup.
+ * @type {Object.<string, SortOption>}
+ */
+export var studentSorts = {
+  "": { "label": "Sort by...", "compare": null },
+  "name": { "label": "Name A–Z", "compare": byText('h3') },
+  "name-desc": { "label": "Name Z–A", "compare": byText('h3', true) },
+  "email": { "label": "Email", "compare": byText('.email') },
+  "joined": { "label": "Joined (oldest first)", "compare": byJoined() },
+  "joined-desc": { "label": "Joined (newest first)", "compare": byJoined(true) }
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+import { normalize, parseQuery, matchTokens, scoreTokens, parseJoined, readFields, studentFields } from './search';
+import { studentSorts } from './sort';
+import { studentTemplate } from './template';
+import { studentFacets, facetFilter } from './facets';
+
+/**
+ *  @file source
+ *  @summary Searches, sorts and pages an in-memory array of students, the way a server would
+ *
+ */
+
+/**
+ * @typedef {object} PageRequest
+ * @property {number} page - The page wanted, counting from 1
+ * @property {number} size - How many students are on a page, or 0 for all of them
+ * @property {string} query - The search query
+ * @property {string} sort - The key of the ordering wanted (@see studentSorts)
+ * @property {Object.<string, string[]>} filters - Facet keys mapped to the checked values
+ * @property {AbortSignal} [signal] - Aborted when the request is no longer needed
+ */
+
+/**
+ * @typedef {object} PageResult
+ * @property {Student[]} items - The students on the page
+ * @property {number} total - How many students match the query across all pages
+ */
+
+/* the searchable fields read straight from a student record */
+var recordFields = ["name", "email", "joined"];
+
+var compareBy = function(key, descending) {
+  var direction = (descending) ? -1 : 1;
+  return function(a, b) {
+    var first = a[key];
+    var second = b[key];
+    if(typeof first == 'number') { return direction * (first - second); }
+    return direction * first.localeCompare(second);
+  }
+}
+
+/* the same orderings as studentSorts, comparing what was read from each record */
+var recordSorts = {
+  "name": compareBy('name'),
+  "name-desc": compareBy('name', true),
+  "email": compareBy('email'),
+  "joined": compareBy('time'),
+  "joined-desc": compareBy('time', true)
+};
+
+/**
+ * Creates a model of an array of students that answers searches and sorts
+ * without touching the DOM. The text of each student is read once, and the
+ * last answer is kept, since paging through it asks the same thing again.
+ * The student fields and orderings are read straight from the records. Any
+ * other field or ordering is read from the item the template builds for a
+ * student, built once and never put on the page.
+ * @param {Student[]} students
+ * @param {Object} [options]
+ * @param {Object} [options.fields] - The searched fields (@see studentFields)
+ * @param {Object} [options.sorts] - The orderings offered (@see studentSorts)
+ * @param {function(Student): Element} [options.template] - Builds the item
+ *        other fields and orderings are read from
+ * @returns {function(string, string, boolean): Student[]} Takes a query, a
+ *          sort key and whether to forgive typos, and returns every matching
+ *          student in order
+ *
+ */
+export var createModel = function(students, options) {
+  var fields = (options && options.fields) || studentFields;
+  var sorts = (options && options.sorts) || studentSorts;
+  var template = (options && options.template) || studentTemplate;
+  var read = new WeakMap();
+  var items = new WeakMap();
+  var last = null;
+
+  var itemFor = function(student) {
+    if(!items.has(student)) { items.set(student, template(student)); }
+    return items.get(student);
+  }
+
+  var entryFor = function(student) {
+    if(!read.has(student)) {
+      var joined = parseJoined(student.joined || '');
+      read.set(student, {
+        "student": student,
+        "name": normalize(student.name || ''),
+        "email": normalize(student.email || ''),
+        "joined": normalize('joined ' + (student.joined || '') + ((joined) ? ' ' + joined.getFullYear() : '')),
+        "time": (joined) ? joined.getTime() : 0
+      });
+    }
+    return read.get(student);
+  }
+
+  var textsOf = function(entry) {
+    if(!entry.texts) {
+      var custom = {};
+      Object.keys(fields).forEach(function(name) {
+        if(recordFields.indexOf(name) == -1 || fields[name] !== studentFields[name]) { custom[name] = fields[name]; }
+      });
+      var texts = (Object.keys(custom).length) ? readFields(itemFor(entry.student), custom) : {};
+      Object.keys(fields).forEach((name) => { if(!(name in texts)) { texts[name] = entry[name]; } });
+      entry.texts = texts;
+    }
+    return entry.texts;
+  }
+
+  var compareFor = function(key) {
+    var option = sorts[key];
+    if(!option || !option.compare) { return null; }
+    if(option === studentSorts[key] && recordSorts[key]) { return recordSorts[key]; }
+    if(!option.compare.key) { return (a, b) => option.compare(itemFor(a.student), itemFor(b.student)); }
+    /* each student's key is read once, and kept with what else was read from it */
+    var keyOf = function(entry) {
+      entry.keys = entry.keys || {};
+      if(!(key in entry.keys)) { entry.keys[key] = option.compare.key(itemFor(entry.student)); }
+      return entry.keys[key];
+    }
+    return (a, b) => option.compare.order(keyOf(a), keyOf(b));
+  }
+
+  return function select(query, sort, fuzzy) {
+    var key = [query, sort, !!fuzzy].join('|');
+    if(last && last.key == key) { return last.students; }
+
+    var tokens = parseQuery(query || '', fields);
+    var entries = students.map(entryFor);
+    var compare = compareFor(sort);
+
+    if(fuzzy && tokens.length) {
+      var ranked = entries
+        .map((entry, index) => ({ "entry": entry, "score": scoreTokens(textsOf(entry), tokens), "index": index }))
+        .filter((scored) => scored.score > 0);
+      /* a chosen sort orders the matches instead of how well they match */
+      if(!compare) { ranked.sort((a, b) => (b.score - a.score) || (a.index - b.index)); }
+      entries = ranked.map((scored) => scored.entry);
+    } else {
+      entries = entries.filter((entry) => matchTokens(textsOf(entry), tokens));
+    }
+    if(compare) { entries.sort(compare); }
+
+    last = { "key": key, "students": entries.map((entry) => entry.student) };
+    return last.students;
+  }
+}
+
+/**
+ * Creates a fetchPage function that answers page requests from an array,
+ * the way a server would. Useful to feed a paginator fixed data, or to stand
+ * in for the server in tests.
+ * @param {Student[]} students
+ * @param {Object} [options]
+ * @param {number} [options.latency=0] - Milliseconds to wait before answering
+ * @param {boolean} [options.fuzzy=false] - Forgive typos in the query
+ * @param {Object} [options.facets] - The facets the filters of a request refer to
+ *                                    (@see studentFacets)
+ * @param {Object} [options.fields] - The searched fields (@see createModel)
+ * @param {Object} [options.sorts] - The orderings offered (@see createModel)
+ * @param {function(Student): Element} [options.template] - Builds the item custom
+ *        fields and orderings are read from (@see createModel)
+ * @returns {function(PageRequest): Promise.<PageResult>}
+ *
+ */
+export var createLocalSource = function(students, options) {
+  var latency = (options && options.latency) || 0;
+  var fuzzy = (options && options.fuzzy) || false;
+  var facets = (options && options.facets) || studentFacets;
+  var select = createModel(students, options);
+
+  return function fetchPage(request) {
+    var matched = select(request.query, request.sort, fuzzy);
+    if(request.filters) { matched = matched.filter(facetFilter(facets, request.filters)); }
+
+    var size = request.size || matched.length;
+    var first = (request.page - 1) * size;
+    var result = { "items": matched.slice(first, first + size), "total": matched.length };
+
+    if(!latency) { return Promise.resolve(result); }
+
+    return new Promise(function(resolve, reject) {
+      var timer = setTimeout(() => resolve(result), latency);
+      if(request.signal) {
+        request.signal.addEventListener('abort', function() {
+          clearTimeout(timer);
+          reject(new Error('Request aborted'));
+        });
+      }
+    });
+  }
+}
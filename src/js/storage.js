@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ *  @file storage
+ *  @summary Keeps versioned values in localStorage under a namespace
+ *
+ */
+
+/**
+ * @typedef {object} Store
+ * @property {function(string, function(*): boolean=): *} read - Reads the value of a key,
+ *           or null when there is none. A value the optional check turns down is
+ *           treated as corrupt.
+ * @property {function(string, *)} write - Writes the value of a key
+ * @property {function(string)} remove - Forgets a key
+ */
+
+/**
+ * Creates a store that writes JSON values to localStorage as
+ * `namespace.key`. Every value is written with the version of the store, so
+ * values left by an older version, or that don't parse, are dropped when
+ * they are read instead of breaking the page. Where localStorage is blocked
+ * or full nothing is remembered, and nothing fails.
+ * @param {string} namespace - Put in front of every key, or "" to remember nothing
+ * @param {number} version - Bumped whenever the shape of the values changes
+ * @returns {Store}
+ *
+ */
+export var createStore = function(namespace, version) {
+
+  var remove = function(key) {
+    if(!namespace) { return; }
+    try {
+      window.localStorage.removeItem(namespace + '.' + key);
+    } catch(e) {
+      /* storage is blocked, so there is nothing to forget */
+    }
+  }
+
+  var read = function(key, check) {
+    if(!namespace) { return null; }
+    var stored;
+    try {
+      stored = window.localStorage.getItem(namespace + '.' + key);
+    } catch(e) {
+      return null;
+    }
+    if(stored === null) { return null; }
+
+    try {
+      var entry = JSON.parse(stored);
+      if(entry && entry.version === version && (!check || check(entry.value))) {
+        return entry.value;
+      }
+    } catch(e) {
+      /* fall through, the entry is corrupt */
+    }
+    remove(key);
+    return null;
+  }
+
+  var write = function(key, value) {
+    if(!namespace) { return; }
+    try {
+      window.localStorage.setItem(namespace + '.' + key, JSON.stringify({ "version": version, "value": value }));
+    } catch(e) {
+      /* storage is full or blocked, the value just isn't remembered */
+    }
+  }
+
+  return { "read": read, "write": write, "remove": remove };
+}
@@ -0,0 +1,69 @@
+'use strict';
+
+import * as util from './fquery';
+
+var $ = util.$;
+var and = util.and;
+var make = util.make;
+var appendTo = util.appendTo;
+var extend = util.extend;
+
+/**
+ *  @file template
+ *  @summary Builds student items from data, matching the markup of the static page
+ *
+ */
+
+/**
+ * @typedef {object} Student
+ * @property {string} name
+ * @property {string} email
+ * @property {string} joined - The join date as MM/DD/YY
+ * @property {string} avatar - The URL of the student's picture
+ * @property {Object.<string, string>} [data] - Written to the item as data-* attributes
+ */
+
+/**
+ * Builds a student item. Every value is set as text or as a property, so
+ * nothing in the data is parsed as HTML.
+ * @param {Student} student
+ * @returns {Element} A detached .student-item element
+ *
+ */
+export var studentTemplate = function(student) {
+  var item = $(make('li', {"className": "student-item cf"}))();
+  Object.keys(student.data || {}).forEach((key) => item.dataset[key] = student.data[key]);
+
+  var details = $(make('div', {"className": "student-details"}))(and)(appendTo(item))();
+  $(make('img', {"className": "avatar", "src": student.avatar || ''}))(and)(appendTo(details))();
+  $(make('h3', {"textContent": student.name || ''}))(and)(appendTo(details))();
+  $(make('span', {"className": "email", "textContent": student.email || ''}))(and)(appendTo(details))();
+
+  var joined = $(make('div', {"className": "joined-details"}))(and)(appendTo(item))();
+  var date = (student.joined) ? 'Joined ' + student.joined : '';
+  $(make('span', {"className": "date", "textContent": date}))(and)(appendTo(joined))();
+
+  return item;
+}
+
+/**
+ * Reads a student back out of a .student-item, the reverse of studentTemplate.
+ * @param {Element} element
+ * @returns {Student}
+ *
+ */
+export var readStudent = function(element) {
+  var text = function(selector) {
+    var target = element.querySelector(selector);
+    return (target) ? target.textContent.trim() : '';
+  }
+  var avatar = element.querySelector('.avatar');
+
+  return {
+    "name": text('h3'),
+    "email": text('.email'),
+    "joined": text('.date').replace(/^Joined\s*/i, ''),
+    "avatar": (avatar) ? avatar.getAttribute('src') : '',
+    "data": extend(element.dataset)
+  };
+}
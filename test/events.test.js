@@ -0,0 +1,96 @@
+'use strict';
+
+import { expect } from 'chai';
+import { createPaginator } from '../src/js/pagination';
+import { students, mountPage, pageOptions, visibleNames } from './fixtures';
+
+describe('createPaginator events', function() {
+  var page, paginator, fired;
+
+  beforeEach(function() {
+    page = mountPage(students);
+    fired = [];
+    ['beforepagechange', 'pagechange', 'search', 'render', 'empty'].forEach(function(name) {
+      page.querySelector('.student-list').addEventListener(name, (e) => fired.push({ "name": name, "detail": e.detail }));
+    });
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  /* a paginator whose first render has already been heard */
+  var create = function(options) {
+    paginator = createPaginator(pageOptions(page, Object.assign({ "pageSize": 2 }, options)));
+    fired = [];
+    return paginator;
+  }
+
+  var names = function() {
+    return fired.map((event) => event.name);
+  }
+
+  it('fires render with what is on screen once the list first renders', function() {
+    paginator = createPaginator(pageOptions(page, { "pageSize": 2 }));
+    expect(names()).to.deep.equal(['render']);
+
+    var detail = fired[0].detail;
+    expect(detail.page).to.equal(1);
+    expect(detail.totalPages).to.equal(3);
+    expect(detail.query).to.equal('');
+    expect(detail.total).to.equal(5);
+    expect(detail.visible.map((item) => item.querySelector('h3').textContent)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+    expect(detail.matched.length).to.equal(5);
+  });
+
+  it('asks before changing the page and tells once it has', function() {
+    create();
+    paginator.goTo(2);
+    expect(names()).to.deep.equal(['beforepagechange', 'render', 'pagechange']);
+    expect(fired[0].detail.page).to.equal(1);
+    expect(fired[0].detail.to).to.equal(2);
+    expect(fired[2].detail.page).to.equal(2);
+  });
+
+  it('stays on the page when the change is cancelled', function() {
+    create();
+    page.querySelector('.student-list').addEventListener('beforepagechange', (e) => e.preventDefault());
+    page.querySelector('.pager-next a').click();
+    expect(names()).to.deep.equal(['beforepagechange']);
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+  });
+
+  it('fires search when the query changes, and empty when nothing matches', function() {
+    create();
+    paginator.goTo(2);
+    fired = [];
+    paginator.search('cox');
+    expect(names()).to.deep.equal(['render', 'pagechange', 'search']);
+    expect(fired[2].detail.query).to.equal('cox');
+    expect(fired[2].detail.total).to.equal(1);
+
+    fired = [];
+    paginator.search('nobody');
+    expect(names()).to.deep.equal(['render', 'search', 'empty']);
+    expect(fired[2].detail.total).to.equal(0);
+  });
+
+  it('calls the callbacks given, on the paginator', function() {
+    var calls = [];
+    var record = function(e) {
+      calls.push({ "type": e.type, "paginator": this });
+    }
+    create({ "on": { "beforepagechange": record, "pagechange": record } });
+    paginator.goTo(3);
+
+    expect(calls.map((call) => call.type)).to.deep.equal(['beforepagechange', 'pagechange']);
+    expect(calls[0].paginator).to.equal(paginator);
+  });
+
+  it('can cancel a page change from a callback', function() {
+    create({ "on": { "beforepagechange": (e) => e.preventDefault() } });
+    paginator.goTo(2);
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+import { expect } from 'chai';
+import { toCSV, toJSON } from '../src/js/export';
+import { createPaginator } from '../src/js/pagination';
+import { students, mountPage, pageOptions } from './fixtures';
+
+describe('toCSV', function() {
+
+  it('writes a header row and CRLF line breaks', function() {
+    expect(toCSV(students.slice(0, 1), ['name', 'email']))
+      .to.equal('name,email\r\niboya vat,iboya.vat@example.com\r\n');
+  });
+
+  it('quotes fields holding commas, quotes or line breaks', function() {
+    var student = { "name": 'cox, "phil"', "email": "a\nb", "joined": null };
+    expect(toCSV([student], ['name', 'email', 'joined']))
+      .to.equal('name,email,joined\r\n"cox, ""phil""","a\nb",\r\n');
+  });
+});
+
+describe('toJSON', function() {
+
+  it('writes only the exported fields, with null for the missing ones', function() {
+    var student = { "name": "phillip cox", "email": "phillip.cox@mail.com", "data": { "cohort": "fall" } };
+    expect(JSON.parse(toJSON([student], ['name', 'joined']))).to.deep.equal([
+      { "name": "phillip cox", "joined": null }
+    ]);
+  });
+});
+
+describe('exportResults', function() {
+  var page, paginator;
+
+  beforeEach(function() {
+    page = mountPage(students);
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  it('exports every match of the query in the chosen order, not just the page', function() {
+    paginator = createPaginator(pageOptions(page, { "pageSize": 1 }));
+    paginator.search('mail.com');
+    paginator.sort('name-desc');
+
+    return paginator.exportResults('csv').then(function(csv) {
+      var rows = csv.split('\r\n');
+      expect(rows[0]).to.equal('name,email,joined,avatar');
+      expect(rows.slice(1, -1).map((row) => row.split(',')[0])).to.deep.equal(['zoë clark', 'phillip cox']);
+    });
+  });
+
+  it('exports the matches as JSON', function() {
+    paginator = createPaginator(pageOptions(page, { "pageSize": 1 }));
+    paginator.search('cox');
+
+    return paginator.exportResults('json').then(function(json) {
+      expect(JSON.parse(json).map((student) => student.email)).to.deep.equal(['phillip.cox@mail.com']);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+import { expect } from 'chai';
+import { studentFacets, countFacets } from '../src/js/facets';
+import { createPaginator } from '../src/js/pagination';
+import { createLocalSource } from '../src/js/source';
+import { students, mountPage, pageOptions, visibleNames, settle } from './fixtures';
+
+describe('countFacets', function() {
+
+  it('counts the values of every facet, sorted', function() {
+    var domain = countFacets(students, studentFacets, {}).filter((facet) => facet.key == 'domain')[0];
+    expect(domain.values).to.deep.equal([
+      { "value": "example.com", "count": 3, "checked": false },
+      { "value": "mail.com", "count": 2, "checked": false }
+    ]);
+  });
+
+  it('counts each facet against the checked values of the others only', function() {
+    var counts = countFacets(students, studentFacets, { "domain": ["mail.com"] });
+    var year = counts.filter((facet) => facet.key == 'year')[0];
+    var domain = counts.filter((facet) => facet.key == 'domain')[0];
+
+    expect(year.values.filter((value) => value.count).map((value) => value.value)).to.deep.equal(['2015', '2016']);
+    expect(year.values.map((value) => value.value)).to.include('2012');
+    expect(domain.values.map((value) => value.count)).to.deep.equal([3, 2]);
+    expect(domain.values[1].checked).to.equal(true);
+  });
+
+  it('keeps a checked value no student has', function() {
+    var domain = countFacets([], studentFacets, { "domain": ["gone.com"] });
+    expect(domain).to.deep.equal([
+      { "key": "domain", "label": "Email domain", "values": [{ "value": "gone.com", "count": 0, "checked": true }] }
+    ]);
+  });
+});
+
+describe('the filter panel', function() {
+  var page, paginator;
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  var check = function(name, value) {
+    var box = page.querySelector('.facets input[name="' + name + '"][value="' + value + '"]');
+    box.checked = true;
+    box.dispatchEvent(new Event('change', { "bubbles": true }));
+  }
+
+  var counts = function(name) {
+    return Array.from(page.querySelectorAll('.facets input[name="' + name + '"]'))
+      .map((box) => box.parentNode.textContent.trim());
+  }
+
+  it('is left out unless facets are given', function() {
+    page = mountPage(students);
+    paginator = createPaginator(pageOptions(page));
+    expect(page.querySelector('.facets')).to.equal(null);
+  });
+
+  it('filters the items of the markup', function() {
+    page = mountPage(students);
+    paginator = createPaginator(pageOptions(page, { "facets": studentFacets }));
+    check('domain', 'mail.com');
+    expect(visibleNames(page)).to.deep.equal(['phillip cox', 'zoë clark']);
+    expect(counts('year')).to.deep.equal(['2012 (0)', '2013 (0)', '2015 (1)', '2016 (1)']);
+  });
+
+  it('filters the students of an array source', function() {
+    page = mountPage();
+    paginator = createPaginator(pageOptions(page, { "source": students, "facets": studentFacets }));
+
+    return settle().then(function() {
+      expect(counts('domain')).to.deep.equal(['example.com (3)', 'mail.com (2)']);
+      check('domain', 'mail.com');
+      return settle();
+    }).then(function() {
+      expect(visibleNames(page)).to.deep.equal(['phillip cox', 'zoë clark']);
+      expect(counts('year')).to.deep.equal(['2012 (0)', '2013 (0)', '2015 (1)', '2016 (1)']);
+    });
+  });
+
+  it('filters an array source by the data-* facets too', function() {
+    var tagged = students.map((student, index) => Object.assign({ "data": { "cohort": (index % 2) ? 'spring' : 'fall' } }, student));
+    page = mountPage();
+    paginator = createPaginator(pageOptions(page, { "source": tagged, "facets": studentFacets }));
+
+    return settle().then(function() {
+      check('data-cohort', 'spring');
+      return settle();
+    }).then(function() {
+      expect(visibleNames(page)).to.deep.equal(['aapo niskanen', 'ethel dean']);
+    });
+  });
+
+  it('is left out for a fetchPage function source', function() {
+    page = mountPage();
+    paginator = createPaginator(pageOptions(page, { "source": createLocalSource(students), "facets": studentFacets }));
+    expect(page.querySelector('.facets')).to.equal(null);
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+import { studentTemplate } from '../src/js/template';
+
+/**
+ * @file fixtures
+ * @summary Students and page markup shared by the tests
+ *
+ */
+
+export var students = [
+  { "name": "iboya vat", "email": "iboya.vat@example.com", "joined": "07/15/15", "avatar": "" },
+  { "name": "aapo niskanen", "email": "aapo.niskanen@example.com", "joined": "06/15/12", "avatar": "" },
+  { "name": "phillip cox", "email": "phillip.cox@mail.com", "joined": "03/04/15", "avatar": "" },
+  { "name": "ethel dean", "email": "ethel.dean@example.com", "joined": "08/09/13", "avatar": "" },
+  { "name": "zoë clark", "email": "zoe.clark@mail.com", "joined": "11/23/16", "avatar": "" }
+];
+
+/**
+ * Puts a page like build/index.html in the document: a header for the search
+ * box and a list, holding an item for each of the students given.
+ * @param {Student[]} [list=[]]
+ * @returns {Element} The .page element, to be removed after the test
+ *
+ */
+export var mountPage = function(list) {
+  var page = document.createElement('div');
+  page.className = 'page';
+  page.innerHTML = '<div class="page-header"></div><ul class="student-list"></ul>';
+  (list || []).forEach((student) => page.querySelector('.student-list').appendChild(studentTemplate(student)));
+  document.body.appendChild(page);
+  return page;
+}
+
+/**
+ * The options that keep a paginator to the page given, and out of localStorage.
+ * @param {Element} page - From mountPage
+ * @param {Object} [options]
+ * @returns {Object}
+ *
+ */
+export var pageOptions = function(page, options) {
+  return Object.assign({
+    "container": page.querySelector('.student-list'),
+    "paginationMount": page,
+    "searchMount": page.querySelector('.page-header'),
+    "storageKey": ""
+  }, options);
+}
+
+/**
+ * The names of the items on screen, in the order of the list.
+ * @param {Element} page
+ * @returns {string[]}
+ *
+ */
+export var visibleNames = function(page) {
+  return Array.from(page.querySelectorAll('.student-item'))
+    .filter((item) => item.style.display != 'none')
+    .map((item) => item.querySelector('h3').textContent);
+}
+
+/**
+ * Lets promise chains and timers already queued run to the end.
+ * @param {number} [delay=0] - Milliseconds
+ * @returns {Promise}
+ *
+ */
+export var settle = function(delay) {
+  return new Promise((resolve) => setTimeout(resolve, delay || 0));
+}
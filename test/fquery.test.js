@@ -0,0 +1,527 @@
+'use strict';
+
+import { expect } from 'chai';
+import { $, $$, and, then, hide, show, find, match, rank, wait, caught, promised,
+         listen, unlisten, delegate, within, closest, parent, children, siblings, next, prev,
+         appendTo, prependTo, insertBefore, insertAfter, replaceWith, remove,
+         addClass, removeClass, toggleClass, hasClass, attr, data, set, on, getValue, setValue,
+         fadeIn, fadeOut, slideUp, slideDown } from '../src/js/fquery';
+import { createPaginator } from '../src/js/pagination';
+import { studentTemplate } from '../src/js/template';
+import { students, mountPage, pageOptions, visibleNames, settle } from './fixtures';
+
+/* a list in the document, removed after each test */
+var mountList = function(html) {
+  var list = document.createElement('ul');
+  list.className = 'fquery-test';
+  list.innerHTML = html;
+  document.body.appendChild(list);
+  return list;
+}
+
+describe('hide and show', function() {
+  var list, items;
+
+  beforeEach(function() {
+    list = mountList('<li>one</li><li style="display: flex">two</li><li>three</li>');
+    items = Array.from(list.children);
+  });
+
+  afterEach(function() {
+    list.remove();
+  });
+
+  it('reads every display in a collection before hiding any of it', function() {
+    var read = window.getComputedStyle;
+    var hiddenWhenRead = [];
+    window.getComputedStyle = function(element) {
+      hiddenWhenRead.push(items.filter((item) => item.style.display == 'none').length);
+      return read.apply(window, arguments);
+    }
+    try {
+      then(items)(hide)();
+    } finally {
+      window.getComputedStyle = read;
+    }
+    expect(hiddenWhenRead).to.deep.equal([0, 0, 0]);
+    expect(items.every((item) => item.style.display == 'none')).to.equal(true);
+  });
+
+  it('gives a then chain the collection back', function() {
+    expect($$('.fquery-test li')(then)(hide)()).to.deep.equal(items);
+  });
+
+  it('shows each element with the display it had', function() {
+    then(items)(hide)();
+    then(items)(hide)();
+    then(items)(show)();
+    expect(items.map((item) => item.style.display)).to.deep.equal(['list-item', 'flex', 'list-item']);
+  });
+
+  it('leaves the display of an element that was not hidden', function() {
+    then(items)(show)();
+    expect(items.map((item) => item.style.display)).to.deep.equal(['', 'flex', '']);
+  });
+});
+
+describe('then chains', function() {
+  var list;
+
+  beforeEach(function() {
+    list = mountList('');
+    students.forEach((student) => list.appendChild(studentTemplate(student)));
+  });
+
+  afterEach(function() {
+    list.remove();
+  });
+
+  var names = function(items) {
+    return items.map((item) => item.querySelector('h3').textContent);
+  }
+
+  it('still run the chain the paginator was first written with', function() {
+    var found = $$('.student-item')(then)(show)
+                (then)(hide)
+                (then)(find({'>0>1.innerHTML': 'cox'}))();
+
+    expect(Array.isArray(found)).to.equal(true);
+    expect(names(found)).to.deep.equal(['phillip cox']);
+    expect(Array.from(list.children).every((item) => item.style.display == 'none')).to.equal(true);
+  });
+
+  it('run native array methods, unnamed functions, filters and rankings', function() {
+    var items = $$('.student-item', list)(then)('slice')(1, 4)
+                (then)((collection, count) => collection.slice(0, count))(2)();
+    expect(names(items)).to.deep.equal(['aapo niskanen', 'phillip cox']);
+
+    var matched = $$('.student-item', list)(then)(match({'>0>1.textContent': 'ethel dean'}))();
+    expect(names(matched)).to.deep.equal(['ethel dean']);
+
+    var ranked = $$('.student-item', list)(then)(rank((item) => item.querySelector('h3').textContent.length))();
+    expect(names(ranked)[0]).to.equal('aapo niskanen');
+  });
+
+  it('wait for an async step, then carry on with what it resolved to', function() {
+    var chain = $$('.student-item', list)
+                (then)(wait((items) => new Promise((resolve) => setTimeout(() => resolve(items.slice(3)), 5))))
+                (then)(hide)
+                (then)('map')((item) => item.querySelector('h3').textContent)();
+
+    expect(chain).to.be.an.instanceof(Promise);
+    return chain.then(function(hiddenNames) {
+      expect(hiddenNames).to.deep.equal(['ethel dean', 'zoë clark']);
+      expect(list.lastElementChild.style.display).to.equal('none');
+    });
+  });
+
+  it('wait for an async step on a single element', function() {
+    return $(and)(list.firstElementChild)(wait((item) => Promise.resolve(item.nextElementSibling)))
+           (and)(hide)().then(function(item) {
+             expect(item).to.equal(list.children[1]);
+             expect(item.style.display).to.equal('none');
+           });
+  });
+
+  it('skip the steps after a rejection up to a catch', function() {
+    var hid = false;
+    return $$('.student-item', list)
+           (then)(wait(() => Promise.reject(new Error('offline'))))
+           (then)(function h(item) { hid = true; return item; })
+           (caught)((error) => 'recovered after ' + error.message)()
+           .then(function(value) {
+             expect(value).to.equal('recovered after offline');
+             expect(hid).to.equal(false);
+           });
+  });
+
+  it('catch an error thrown inside an async step', function() {
+    return $$('.student-item', list)
+           (then)(wait(() => { throw new Error('broken'); }))
+           (caught)((error) => error.message)()
+           .then((message) => expect(message).to.equal('broken'));
+  });
+
+  it('end with a rejected promise when nothing catches the error', function() {
+    return $$('.student-item', list)
+           (then)(wait(() => Promise.reject(new Error('offline'))))
+           (then)(show)()
+           .then(function() {
+             throw new Error('the chain resolved');
+           }, function(error) {
+             expect(error.message).to.equal('offline');
+           });
+  });
+
+  it('give a promise when asked, even for a chain that never went async', function() {
+    var chain = $$('.student-item', list)(then)('slice')(0, 1)(caught)(() => [])(promised);
+    expect(chain).to.be.an.instanceof(Promise);
+    return chain.then((items) => expect(names(items)).to.deep.equal(['iboya vat']));
+  });
+});
+
+describe('listen, unlisten and delegate', function() {
+  var list, calls;
+
+  beforeEach(function() {
+    list = mountList('<li><a>one</a></li><li><a>two</a></li>');
+    calls = [];
+  });
+
+  afterEach(function() {
+    list.remove();
+  });
+
+  var click = function(element) {
+    element.dispatchEvent(new MouseEvent('click', { "bubbles": true }));
+  }
+
+  var record = (label) => () => calls.push(label);
+
+  it('removes the listeners of a namespace and leaves the others', function() {
+    $(and)(list)(listen('click.pager', record('pager')))
+    (and)(listen('click.other', record('other')))
+    (and)(listen('keydown.pager', record('key')))();
+
+    $(and)(list)(unlisten('.pager'))();
+    click(list);
+    list.dispatchEvent(new KeyboardEvent('keydown'));
+    expect(calls).to.deep.equal(['other']);
+  });
+
+  it('removes listeners by type, by type and namespace, or by handler', function() {
+    var kept = record('kept');
+    $(and)(list)(listen('click.a', record('a')))(and)(listen('click.b', record('b')))
+    (and)(listen('focus', kept))(and)(listen('focus', record('dropped')))();
+
+    $(and)(list)(unlisten('click.a'))();
+    click(list);
+    expect(calls).to.deep.equal(['b']);
+
+    $(and)(list)(unlisten('click'))(and)(unlisten('focus', kept))();
+    calls = [];
+    click(list);
+    list.dispatchEvent(new Event('focus'));
+    expect(calls).to.deep.equal(['dropped']);
+
+    $(and)(list)(unlisten())();
+    calls = [];
+    list.dispatchEvent(new Event('focus'));
+    expect(calls).to.deep.equal([]);
+  });
+
+  it('delegates to the descendants matching a selector, including later ones', function() {
+    var heard = [];
+    delegate(list, 'click', 'li', function(e, item) {
+      heard.push([this === item, item.textContent]);
+    })();
+
+    var added = document.createElement('li');
+    added.innerHTML = '<a>three</a>';
+    list.appendChild(added);
+
+    click(list.querySelector('a'));
+    click(added.querySelector('a'));
+    click(list);
+    expect(heard).to.deep.equal([[true, 'one'], [true, 'three']]);
+  });
+
+  it('removes a delegated listener by the handler it was given', function() {
+    var handler = record('item');
+    $(and)(list)(listen('click', 'li', handler))();
+    $(and)(list)(unlisten('click', handler))();
+    click(list.querySelector('a'));
+    expect(calls).to.deep.equal([]);
+  });
+
+  it('listens to every element of a collection', function() {
+    $$('li', list)(then)(listen('click', function() { calls.push(this.textContent); }))();
+    Array.from(list.children).forEach(click);
+    expect(calls).to.deep.equal(['one', 'two']);
+  });
+});
+
+describe('scoped queries and traversal', function() {
+  var list;
+
+  beforeEach(function() {
+    list = mountList('<li class="a"><b>1</b></li><li class="b"><b>2</b></li><li class="a"><b>3</b></li>');
+  });
+
+  afterEach(function() {
+    list.remove();
+  });
+
+  var texts = (elements) => elements.map((element) => element.textContent);
+
+  it('looks only inside the scope given', function() {
+    var outside = document.createElement('b');
+    document.body.appendChild(outside);
+    try {
+      expect($$('b', within(list))().length).to.equal(3);
+      expect($('b', list)()).to.equal(list.querySelector('b'));
+      expect($('b', within('.fquery-test'))()).to.equal(list.querySelector('b'));
+    } finally {
+      outside.remove();
+    }
+  });
+
+  it('finds the closest ancestor and the parent of an element', function() {
+    var bold = list.querySelector('b');
+    expect($(and)(bold)(closest('ul'))()).to.equal(list);
+    expect($(and)(bold)(parent())()).to.equal(list.firstElementChild);
+    expect($(and)(bold)(parent('.b'))()).to.equal(null);
+  });
+
+  it('finds children, siblings and the next and previous elements', function() {
+    var middle = list.children[1];
+    expect(texts($(and)(list)(children('.a'))())).to.deep.equal(['1', '3']);
+    expect(texts($(and)(middle)(siblings())())).to.deep.equal(['1', '3']);
+    expect($(and)(middle)(next())().textContent).to.equal('3');
+    expect($(and)(middle)(prev('.b'))()).to.equal(null);
+  });
+
+  it('gathers what a collection leads to once each, in order', function() {
+    var found = $$('b', list)(then)(parent())(then)(siblings())();
+    expect(texts(found)).to.deep.equal(['2', '3', '1']);
+    expect(texts($$('b', list)(then)(closest('ul'))(then)(children('.b'))())).to.deep.equal(['2']);
+  });
+});
+
+describe('insertion verbs', function() {
+  var list;
+
+  beforeEach(function() {
+    list = mountList('<li id="x">x</li>');
+  });
+
+  afterEach(function() {
+    list.remove();
+  });
+
+  var item = function(text) {
+    var element = document.createElement('li');
+    element.textContent = text;
+    return element;
+  }
+
+  var order = () => Array.from(list.children).map((element) => element.textContent).join(' ');
+
+  it('puts each element prepended at the start, however many times the verb is used', function() {
+    var prepend = prependTo(list);
+    and(item('a'))(prepend)();
+    and(item('b'))(prepend)();
+    expect(order()).to.equal('b a x');
+  });
+
+  it('prepends a collection in its own order', function() {
+    var prepend = prependTo('.fquery-test');
+    then([item('a'), item('b')])(prepend)();
+    then([item('c'), item('d')])(prepend)();
+    expect(order()).to.equal('c d a b x');
+  });
+
+  it('puts each element or collection right after the sibling', function() {
+    var after = insertAfter('#x', list);
+    then([item('a'), item('b')])(after)();
+    and(item('c'))(after)();
+    expect(order()).to.equal('x c a b');
+  });
+
+  it('appends, inserts before, replaces and removes', function() {
+    and(item('end'))(appendTo(list))();
+    and(item('start'))(insertBefore('#x'))();
+    var swapped = $('#x', list)(and)(replaceWith((old) => item('was ' + old.textContent)))();
+    expect(swapped.textContent).to.equal('was x');
+    expect(order()).to.equal('start was x end');
+
+    $$('li', list)(then)('slice')(0, 2)(then)(remove)();
+    expect(order()).to.equal('end');
+  });
+});
+
+describe('class, attribute and dataset verbs', function() {
+  var list, links;
+
+  beforeEach(function() {
+    list = mountList('<li class="one"><a href="#1" data-page="1">1</a></li><li class="two"><a href="#2" data-page="2">2</a></li>');
+    links = Array.from(list.querySelectorAll('a'));
+  });
+
+  afterEach(function() {
+    list.remove();
+  });
+
+  it('adds, removes and toggles classes', function() {
+    var first = list.firstElementChild;
+    $(and)(first)(addClass('a', 'b'))(and)(removeClass('one', 'a'))();
+    expect(first.className).to.equal('b');
+
+    $(and)(first)(toggleClass('b'))(and)(toggleClass('c', true))(and)(toggleClass('c', true))();
+    expect(first.className).to.equal('c');
+    $(and)(first)(toggleClass('c', false))();
+    expect(first.className).to.equal('');
+  });
+
+  it('tests a class on an element, and filters a collection by it', function() {
+    expect($(and)(list.firstElementChild)(hasClass('one'))()).to.equal(true);
+    expect($$('li', list)(then)(hasClass('two'))()).to.deep.equal([list.children[1]]);
+  });
+
+  it('reads, writes and removes attributes', function() {
+    var link = links[0];
+    expect($(and)(link)(attr('href'))()).to.equal('#1');
+
+    $(and)(link)(attr({'href': '#one', 'aria-label': 'First'}))(and)(attr('title', 'go'))();
+    expect([link.getAttribute('href'), link.getAttribute('aria-label'), link.title]).to.deep.equal(['#one', 'First', 'go']);
+
+    $(and)(link)(attr('aria-label', null))();
+    expect(link.hasAttribute('aria-label')).to.equal(false);
+  });
+
+  it('reads, writes and removes data-* values, dashed or camel cased', function() {
+    var link = links[1];
+    expect($(and)(link)(data('page'))()).to.equal('2');
+
+    $(and)(link)(data('page-size', '25'))(and)(data({'pageCount': '4'}))();
+    expect(link.getAttribute('data-page-size')).to.equal('25');
+    expect($(and)(link)(data('page-count'))()).to.equal('4');
+
+    $(and)(link)(data('page', null))();
+    expect(link.hasAttribute('data-page')).to.equal(false);
+  });
+
+  it('reaches attributes with @ and data-* values with # in any property chain', function() {
+    var matched = $$('li', list)(then)(match({'>0#page': '2'}))();
+    expect(matched).to.deep.equal([list.children[1]]);
+
+    $$('a', list)(then)(find({'@href': '#1'}))(then)(set({'@aria-current': 'page', '#active': 'yes'}))();
+    expect(links[0].getAttribute('aria-current')).to.equal('page');
+    expect(links[0].dataset.active).to.equal('yes');
+    expect(links[1].hasAttribute('aria-current')).to.equal(false);
+
+    expect($(and)(list.firstElementChild)(on('>0@href'))(getValue())()).to.equal('#1');
+    $(and)(list.firstElementChild)(on('>0@aria-current'))(setValue(null))();
+    expect(links[0].hasAttribute('aria-current')).to.equal(false);
+  });
+});
+
+describe('animated verbs', function() {
+  var list, item;
+
+  beforeEach(function() {
+    list = mountList('<li style="display: flex">one</li><li>two</li>');
+    item = list.firstElementChild;
+  });
+
+  afterEach(function() {
+    list.remove();
+  });
+
+  var transitionEnd = function(element, property) {
+    var event = new Event('transitionend');
+    event.propertyName = property;
+    element.dispatchEvent(event);
+  }
+
+  it('fades out, then hides, and resolves when the transition ends', function() {
+    var faded = $(and)(item)(fadeOut(1000))();
+    expect(item.style.transition).to.equal('opacity 1000ms');
+    expect(item.style.display).to.equal('flex');
+
+    transitionEnd(item, 'height');
+    transitionEnd(item, 'opacity');
+    return faded.then(function(element) {
+      expect(element).to.equal(item);
+      expect(item.style.display).to.equal('none');
+      expect(item.style.transition).to.equal('');
+    });
+  });
+
+  it('resolves even when no transitionend comes', function() {
+    return $(and)(item)(fadeOut(10))().then(() => expect(item.style.display).to.equal('none'));
+  });
+
+  it('fades a collection in a then chain and gives a promise of it', function() {
+    var items = Array.from(list.children);
+    then(items)(hide)();
+    return then(items)(fadeIn(10))().then(function(shown) {
+      expect(shown).to.deep.equal(items);
+      expect(items.map((element) => [element.style.display, element.style.opacity]))
+        .to.deep.equal([['flex', '1'], ['list-item', '1']]);
+    });
+  });
+
+  it('puts back the display an element had before it faded out', function() {
+    return $(and)(item)(fadeOut(10))().then(function() {
+      return $(and)(item)(fadeIn(10))();
+    }).then(() => expect(item.style.display).to.equal('flex'));
+  });
+
+  it('lets a newer animation take over without the older one finishing', function() {
+    var out = $(and)(item)(fadeOut(10))();
+    var back = $(and)(item)(fadeIn(10))();
+    return Promise.all([out, back]).then(function() {
+      expect(item.style.display).to.equal('flex');
+      expect(item.style.opacity).to.equal('1');
+    });
+  });
+
+  it('slides up and down, putting back the height and overflow', function() {
+    return $(and)(item)(slideUp(10))().then(function() {
+      expect(item.style.display).to.equal('none');
+      expect([item.style.height, item.style.overflow]).to.deep.equal(['', '']);
+      return $(and)(item)(slideDown(10))();
+    }).then(function() {
+      expect(item.style.display).to.equal('flex');
+      expect([item.style.height, item.style.overflow]).to.deep.equal(['', '']);
+    });
+  });
+
+  it('hides and shows at once for users who asked for less motion', function() {
+    var matchMedia = window.matchMedia;
+    window.matchMedia = (query) => ({ "matches": query == '(prefers-reduced-motion: reduce)' });
+    try {
+      var faded = $(and)(item)(fadeOut(1000))();
+      expect(item.style.display).to.equal('none');
+      return faded;
+    } finally {
+      window.matchMedia = matchMedia;
+    }
+  });
+});
+
+describe('createPaginator with fade', function() {
+  var page, paginator;
+
+  beforeEach(function() {
+    page = mountPage(students);
+    paginator = createPaginator(pageOptions(page, { "pageSize": 2, "fade": 10 }));
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  it('shows the first page at once', function() {
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+  });
+
+  it('fades the new page in after the old one fades out', function() {
+    paginator.goTo(2);
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+
+    return settle(100).then(function() {
+      expect(visibleNames(page)).to.deep.equal(['phillip cox', 'ethel dean']);
+    });
+  });
+
+  it('shows only the last page asked for when pages change during a fade', function() {
+    paginator.goTo(2);
+    paginator.goTo(3);
+    return settle(150).then(function() {
+      expect(visibleNames(page)).to.deep.equal(['zoë clark']);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+import { expect } from 'chai';
+import { highlight, unhighlight } from '../src/js/highlight';
+import { createPaginator } from '../src/js/pagination';
+import { students, mountPage, pageOptions } from './fixtures';
+
+/* an element holding the html given, in the document */
+var element = function(html) {
+  var node = document.createElement('h3');
+  node.innerHTML = html;
+  return node;
+}
+
+var marks = function(node) {
+  return Array.from(node.querySelectorAll('mark')).map((mark) => mark.textContent);
+}
+
+describe('highlight', function() {
+
+  it('marks every term, ignoring case and accents', function() {
+    var node = element('Zoë Clark, zoe@mail');
+    highlight(node, ['zoe', 'clark']);
+    expect(marks(node)).to.deep.equal(['Zoë', 'Clark', 'zoe']);
+    expect(node.textContent).to.equal('Zoë Clark, zoe@mail');
+  });
+
+  it('merges terms that overlap into one mark', function() {
+    var node = element('phillip');
+    highlight(node, ['phil', 'lip']);
+    expect(node.innerHTML).to.equal('<mark>phillip</mark>');
+  });
+
+  it('never parses the text as html', function() {
+    var node = element('&lt;img src=x onerror=alert(1)&gt; cox');
+    highlight(node, ['img', 'cox']);
+    expect(node.querySelector('img')).to.equal(null);
+    expect(marks(node)).to.deep.equal(['img', 'cox']);
+    expect(node.textContent).to.equal('<img src=x onerror=alert(1)> cox');
+  });
+
+  it('puts back the exact nodes it replaced', function() {
+    var node = element('phillip <b>cox</b> lives here');
+    var before = node.innerHTML;
+    var text = node.firstChild;
+    highlight(node, ['cox', 'lives']);
+    highlight(node, ['phil']);
+    unhighlight(node);
+    expect(node.innerHTML).to.equal(before);
+    expect(node.firstChild).to.equal(text);
+    expect(node.childNodes.length).to.equal(3);
+  });
+});
+
+describe('createPaginator highlighting', function() {
+  var page, paginator;
+
+  beforeEach(function() {
+    page = mountPage(students);
+    paginator = createPaginator(pageOptions(page, { "pageSize": 2 }));
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  it('marks the query in the names and emails on the page', function() {
+    paginator.search('cox');
+    var item = Array.from(page.querySelectorAll('.student-item')).filter((entry) => entry.style.display != 'none')[0];
+    expect(marks(item)).to.deep.equal(['cox', 'cox']);
+  });
+
+  it('marks a qualified token only in its field', function() {
+    paginator.search('email:cox');
+    expect(marks(page.querySelector('.student-list'))).to.deep.equal(['cox']);
+    expect(page.querySelector('.email mark')).to.not.equal(null);
+  });
+
+  it('puts the markup back as it was when the search is cleared', function() {
+    var details = () => Array.from(page.querySelectorAll('.student-details')).map((node) => node.innerHTML);
+    var before = details();
+    paginator.search('cox');
+    paginator.search('');
+    expect(page.querySelectorAll('mark').length).to.equal(0);
+    expect(details()).to.deep.equal(before);
+  });
+});
@@ -0,0 +1,17 @@
+'use strict';
+
+/* the entry of the test build (@see webpack.tests.config.js), running every test file */
+import './fquery.test';
+import './source.test';
+import './search.test';
+import './sort.test';
+import './highlight.test';
+import './location.test';
+import './pager.test';
+import './export.test';
+import './storage.test';
+import './facets.test';
+import './selection.test';
+import './events.test';
+import './virtual.test';
+import './pagination.test';
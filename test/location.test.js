@@ -0,0 +1,110 @@
+'use strict';
+
+import { expect } from 'chai';
+import { readLocation, locationFor, writeLocation } from '../src/js/location';
+import { createPaginator } from '../src/js/pagination';
+import { students, mountPage, pageOptions, visibleNames, settle } from './fixtures';
+
+var defaults = { "page": 1, "query": "", "size": 10, "sort": "" };
+
+var goTo = function(url) {
+  window.history.replaceState(null, '', url);
+}
+
+describe('readLocation, locationFor and writeLocation', function() {
+
+  afterEach(function() {
+    goTo(window.location.pathname);
+  });
+
+  it('reads the prefixed parameters, falling back on the defaults', function() {
+    goTo('?p2-page=3&p2-q=cox&page=9&p2-size=abc');
+    expect(readLocation('p2-', defaults)).to.deep.equal({ "page": 3, "query": "cox", "size": 10, "sort": "" });
+  });
+
+  it('reads a size of 0 as showing everything', function() {
+    goTo('?size=0&page=-2');
+    expect(readLocation('', defaults)).to.deep.equal({ "page": 1, "query": "", "size": 0, "sort": "" });
+  });
+
+  it('writes only what differs from the defaults, keeping other parameters', function() {
+    goTo('?tab=students&page=4#list');
+    var url = locationFor({ "page": 1, "query": "zoë clark", "size": 25, "sort": "" }, '', defaults);
+    expect(url).to.equal(window.location.pathname + '?tab=students&q=zo%C3%AB+clark&size=25#list');
+  });
+
+  it('adds a history entry only when asked to', function() {
+    var length = window.history.length;
+    writeLocation({ "page": 2 }, '', defaults, false);
+    expect(window.location.search).to.equal('?page=2');
+    expect(window.history.length).to.equal(length);
+
+    writeLocation({ "page": 3 }, '', defaults, true);
+    writeLocation({ "page": 3 }, '', defaults, true);
+    expect(window.history.length).to.equal(length + 1);
+  });
+});
+
+describe('createPaginator with history', function() {
+  var page, paginator;
+
+  beforeEach(function() {
+    page = mountPage(students);
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+    goTo(window.location.pathname);
+  });
+
+  var create = function(options) {
+    paginator = createPaginator(pageOptions(page, Object.assign({ "pageSize": 2, "history": true }, options)));
+    return paginator;
+  }
+
+  it('starts from the state a deep link holds', function() {
+    goTo('?q=example&sort=name&page=2');
+    create();
+    expect(page.querySelector('input[type="search"]').value).to.equal('example');
+    expect(page.querySelector('.student-sort').value).to.equal('name');
+    expect(visibleNames(page)).to.deep.equal(['iboya vat']);
+  });
+
+  it('keeps the state in the URL and the page links', function() {
+    create();
+    paginator.sort('name');
+    paginator.goTo(2);
+    expect(window.location.search).to.equal('?sort=name&page=2');
+    expect(page.querySelector('.pager-next a').getAttribute('href')).to.equal(window.location.pathname + '?sort=name&page=3');
+  });
+
+  it('writes a page size other than the configured one', function() {
+    create();
+    paginator.setPageSize(10);
+    expect(window.location.search).to.equal('?size=10');
+  });
+
+  it('makes one history entry for a run of searches', function() {
+    create();
+    var length = window.history.length;
+    paginator.search('c');
+    paginator.search('co');
+    paginator.search('cox');
+    expect(window.history.length).to.equal(length + 1);
+    expect(window.location.search).to.equal('?q=cox');
+  });
+
+  it('goes back to the page before with the back button', function() {
+    create();
+    paginator.goTo(2);
+    paginator.goTo(3);
+    var popped = new Promise((resolve) => window.addEventListener('popstate', resolve, { "once": true }));
+    window.history.back();
+
+    return popped.then(function() {
+      expect(window.location.search).to.equal('?page=2');
+      expect(visibleNames(page)).to.deep.equal(['phillip cox', 'ethel dean']);
+    });
+  });
+});
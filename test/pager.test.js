@@ -0,0 +1,26 @@
+'use strict';
+
+import { expect } from 'chai';
+import { pagerLinks } from '../src/js/pager';
+
+describe('pagerLinks', function() {
+
+  var labels = function(links) {
+    return links.map((link) => (link.active) ? '[' + link.label + ']' : link.label).join(' ');
+  }
+
+  it('shows the first and last pages around a window of the current page', function() {
+    expect(labels(pagerLinks(9, 240, 2))).to.equal('« ‹ 1 … 7 8 [9] 10 11 … 240 › »');
+  });
+
+  it('shows every page rather than a gap of one or two', function() {
+    expect(labels(pagerLinks(1, 5, 2))).to.equal('« ‹ [1] 2 3 4 5 › »');
+    expect(labels(pagerLinks(4, 7, 1))).to.equal('« ‹ 1 2 3 [4] 5 6 7 › »');
+  });
+
+  it('disables the links that go nowhere', function() {
+    var links = pagerLinks(1, 1, 2);
+    expect(links.filter((link) => link.page === null).map((link) => link.type))
+      .to.deep.equal(['first', 'prev', 'next', 'last']);
+  });
+});
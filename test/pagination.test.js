@@ -0,0 +1,290 @@
+'use strict';
+
+import { expect } from 'chai';
+import { createPaginator } from '../src/js/pagination';
+import { createLocalSource } from '../src/js/source';
+import { studentTemplate } from '../src/js/template';
+import { students, mountPage, pageOptions, visibleNames, settle } from './fixtures';
+
+/* a fetchPage whose answers are given by the test, in any order */
+var createHeldSource = function() {
+  var held = [];
+  var fetchPage = function(pageRequest) {
+    return new Promise(function(resolve, reject) {
+      held.push({ "request": pageRequest, "resolve": resolve, "reject": reject });
+    });
+  }
+  fetchPage.held = held;
+  return fetchPage;
+}
+
+describe('createPaginator with a fetchPage source', function() {
+  var page, paginator;
+
+  beforeEach(function() {
+    page = mountPage();
+  });
+
+  afterEach(function() {
+    if(paginator) { paginator.destroy(); }
+    paginator = null;
+    page.remove();
+  });
+
+  var create = function(source, options) {
+    paginator = createPaginator(pageOptions(page, Object.assign({ "pageSize": 2, "source": source }, options)));
+    return paginator;
+  }
+
+  var status = function() {
+    return page.querySelector('.pagination-status');
+  }
+
+  it('shows the loading state until the page arrives', function() {
+    var source = createHeldSource();
+    create(source);
+    var list = page.querySelector('.student-list');
+
+    expect(list.classList.contains('loading')).to.equal(true);
+    expect(list.getAttribute('aria-busy')).to.equal('true');
+    expect(status().textContent).to.equal('Loading students…');
+
+    return settle().then(function() {
+      source.held[0].resolve({ "items": students.slice(0, 2), "total": 5 });
+      return settle();
+    }).then(function() {
+      expect(list.classList.contains('loading')).to.equal(false);
+      expect(list.getAttribute('aria-busy')).to.equal('false');
+      expect(status().style.display).to.equal('none');
+      expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+    });
+  });
+
+  it('renders the pages of an array source', function() {
+    create(students);
+    return settle().then(function() {
+      expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+      paginator.goTo(3);
+      return settle();
+    }).then(function() {
+      expect(visibleNames(page)).to.deep.equal(['zoë clark']);
+    });
+  });
+
+  it('shows the error state with a retry button when the page fails', function() {
+    var calls = 0;
+    create(function(pageRequest) {
+      calls++;
+      return (calls == 1) ? Promise.reject(new Error('offline')) : createLocalSource(students)(pageRequest);
+    });
+
+    return settle().then(function() {
+      expect(status().classList.contains('error')).to.equal(true);
+      expect(status().textContent).to.contain('Students couldn\'t be loaded.');
+      expect(visibleNames(page)).to.deep.equal([]);
+
+      status().querySelector('button').click();
+      return settle();
+    }).then(function() {
+      expect(calls).to.equal(2);
+      expect(status().classList.contains('error')).to.equal(false);
+      expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+    });
+  });
+
+  it('ignores an answer that arrives after a newer request', function() {
+    var source = createHeldSource();
+    create(source);
+
+    return settle().then(function() {
+      paginator.search('cox');
+      return settle();
+    }).then(function() {
+      expect(source.held.length).to.equal(2);
+      expect(source.held[1].request.query).to.equal('cox');
+
+      source.held[1].resolve({ "items": [students[2]], "total": 1 });
+      return settle();
+    }).then(function() {
+      source.held[0].resolve({ "items": students.slice(0, 2), "total": 5 });
+      return settle();
+    }).then(function() {
+      expect(visibleNames(page)).to.deep.equal(['phillip cox']);
+    });
+  });
+
+  it('ignores a failure of a request that has been replaced', function() {
+    var source = createHeldSource();
+    create(source);
+
+    return settle().then(function() {
+      paginator.search('cox');
+      return settle();
+    }).then(function() {
+      source.held[1].resolve({ "items": [students[2]], "total": 1 });
+      source.held[0].reject(new Error('Request aborted'));
+      return settle();
+    }).then(function() {
+      expect(status().classList.contains('error')).to.equal(false);
+      expect(visibleNames(page)).to.deep.equal(['phillip cox']);
+    });
+  });
+});
+
+describe('createPaginator watching the list', function() {
+  var page, paginator, list;
+
+  beforeEach(function() {
+    page = mountPage(students);
+    list = page.querySelector('.student-list');
+    paginator = createPaginator(pageOptions(page, { "pageSize": 2, "watch": true }));
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  var names = function() {
+    return Array.from(list.querySelectorAll('.student-item h3')).map((name) => name.textContent);
+  }
+
+  it('keeps an item put in at the top first', function() {
+    var student = { "name": "ada first", "email": "ada.first@example.com", "joined": "01/01/20", "avatar": "" };
+    list.insertBefore(studentTemplate(student), list.firstElementChild);
+
+    return settle().then(function() {
+      expect(names()[0]).to.equal('ada first');
+      expect(visibleNames(page)).to.deep.equal(['ada first', 'iboya vat']);
+      expect(page.querySelector('.pagination-summary').textContent).to.equal('Showing 1–2 of 6');
+    });
+  });
+
+  it('keeps an item put in the middle in its place once a sort is undone', function() {
+    var student = { "name": "ada middle", "email": "ada.middle@example.com", "joined": "01/01/20", "avatar": "" };
+    list.insertBefore(studentTemplate(student), list.children[2]);
+
+    return settle().then(function() {
+      paginator.sort('name');
+      paginator.sort('');
+      return settle();
+    }).then(function() {
+      expect(names()).to.deep.equal(['iboya vat', 'aapo niskanen', 'ada middle', 'phillip cox', 'ethel dean', 'zoë clark']);
+    });
+  });
+
+  it('stays on a page that is still there when items are taken out', function() {
+    paginator.goTo(3);
+    list.lastElementChild.remove();
+
+    return settle().then(function() {
+      expect(visibleNames(page)).to.deep.equal(['phillip cox', 'ethel dean']);
+      expect(page.querySelector('.pagination-summary').textContent).to.equal('Showing 3–4 of 4');
+    });
+  });
+});
+
+describe('createPaginator searching as the user types', function() {
+  var page, paginator, box;
+
+  beforeEach(function() {
+    page = mountPage(students);
+    paginator = createPaginator(pageOptions(page, { "pageSize": 2, "searchDelay": 20 }));
+    box = page.querySelector('input[type="search"]');
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  var type = function(text) {
+    box.value = text;
+    box.dispatchEvent(new KeyboardEvent('keyup', { "key": text.slice(-1) }));
+  }
+
+  it('searches once the keystrokes stop', function() {
+    type('c');
+    type('co');
+    type('cox');
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+
+    return settle(40).then(function() {
+      expect(visibleNames(page)).to.deep.equal(['phillip cox']);
+    });
+  });
+
+  it('only touches the items whose visibility changes', function() {
+    var items = Array.from(page.querySelectorAll('.student-item'));
+    var touched = [];
+    var watcher = new MutationObserver(function(records) {
+      records.forEach((record) => touched.push(items.indexOf(record.target)));
+    });
+    watcher.observe(page.querySelector('.student-list'), { "attributes": true, "subtree": true, "attributeFilter": ["style"] });
+
+    paginator.search('example');
+    return settle().then(function() {
+      watcher.disconnect();
+      expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+      expect(touched).to.deep.equal([]);
+
+      paginator.search('example dean');
+      expect(visibleNames(page)).to.deep.equal(['ethel dean']);
+    });
+  });
+});
+
+describe('createPaginator names', function() {
+  var pages = [];
+  var paginators = [];
+
+  afterEach(function() {
+    paginators.forEach((paginator) => paginator.destroy());
+    pages.forEach((page) => page.remove());
+    paginators = [];
+    pages = [];
+    window.localStorage.clear();
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  /* a paginator left to name its search box, storage and URL parameters */
+  var create = function(id) {
+    var page = mountPage(students);
+    if(id) { page.querySelector('.student-list').id = id; }
+    var paginator = createPaginator(pageOptions(page, { "storageKey": null, "history": true, "pageSize": 2 }));
+    pages.push(page);
+    paginators.push(paginator);
+    var href = page.querySelector('.pager-next a').getAttribute('href');
+    window.localStorage.clear();
+    paginator.setPageSize(25);
+    return {
+      "searchId": page.querySelector('input[type="search"]').id,
+      "storageKey": Object.keys(window.localStorage)[0].replace(/\.size$/, ''),
+      "href": href
+    };
+  }
+
+  it('gives every paginator alive on the page its own', function() {
+    var first = create();
+    var second = create();
+    expect(first.searchId).to.equal('paginator-search-1');
+    expect(second.searchId).to.equal('paginator-search-2');
+    expect(first.storageKey).to.equal('paginator');
+    expect(second.storageKey).to.equal('paginator-2');
+    expect(second.href).to.contain('p2-page=');
+  });
+
+  it('gives a paginator made again the names of the one it replaces', function() {
+    create();
+    create();
+    paginators.shift().destroy();
+    expect(create().searchId).to.equal('paginator-search-1');
+  });
+
+  it('names a paginator after the id of its list', function() {
+    var named = create('roster');
+    expect(named.searchId).to.equal('roster-search');
+    expect(named.storageKey).to.equal('paginator-roster');
+    expect(named.href).to.contain('roster-page=');
+  });
+});
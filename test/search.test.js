@@ -0,0 +1,64 @@
+'use strict';
+
+import { expect } from 'chai';
+import { parseQuery, narrows, createMatcher, studentFields } from '../src/js/search';
+import { studentTemplate } from '../src/js/template';
+import { students } from './fixtures';
+
+describe('parseQuery', function() {
+
+  it('splits a query into normalized tokens', function() {
+    expect(parseQuery('  Zoë  COX ', studentFields)).to.deep.equal([
+      { "field": null, "value": "zoe" },
+      { "field": null, "value": "cox" }
+    ]);
+  });
+
+  it('limits a qualified token to its field', function() {
+    expect(parseQuery('email:mail name:', studentFields)).to.deep.equal([
+      { "field": "email", "value": "mail" }
+    ]);
+  });
+
+  it('keeps an unknown qualifier as plain text', function() {
+    expect(parseQuery('city:rome', studentFields)).to.deep.equal([
+      { "field": null, "value": "city:rome" }
+    ]);
+  });
+});
+
+describe('narrows', function() {
+
+  it('holds when the tokens only grow', function() {
+    expect(narrows('co', 'cox p', studentFields)).to.equal(true);
+    expect(narrows('', 'cox', studentFields)).to.equal(true);
+  });
+
+  it('fails when a token is removed, changed or given a field', function() {
+    expect(narrows('cox p', 'cox', studentFields)).to.equal(false);
+    expect(narrows('cox', 'cx', studentFields)).to.equal(false);
+    expect(narrows('mail', 'email:mail', studentFields)).to.equal(false);
+  });
+});
+
+describe('createMatcher', function() {
+  var items = students.map(studentTemplate);
+
+  var names = function(query) {
+    return items.filter(createMatcher(query, studentFields)).map((item) => item.querySelector('h3').textContent);
+  }
+
+  it('needs every token to match some field', function() {
+    expect(names('cox mail')).to.deep.equal(['phillip cox']);
+    expect(names('cox example')).to.deep.equal([]);
+  });
+
+  it('finds students by the full year they joined', function() {
+    expect(names('2015')).to.deep.equal(['iboya vat', 'phillip cox']);
+  });
+
+  it('limits a qualified token to its field', function() {
+    expect(names('email:zoe')).to.deep.equal(['zoë clark']);
+    expect(names('name:mail')).to.deep.equal([]);
+  });
+});
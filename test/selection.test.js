@@ -0,0 +1,131 @@
+'use strict';
+
+import { expect } from 'chai';
+import { createPaginator } from '../src/js/pagination';
+import { students, mountPage, pageOptions, visibleNames, settle } from './fixtures';
+
+describe('createPaginator selecting students', function() {
+  var page, paginator, changes;
+
+  beforeEach(function() {
+    page = mountPage(students);
+    changes = [];
+    page.querySelector('.student-list').addEventListener('selectionchange', (e) => changes.push(e.detail));
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  var create = function(options) {
+    paginator = createPaginator(pageOptions(page, Object.assign({ "pageSize": 2, "selectable": true }, options)));
+    return paginator;
+  }
+
+  var tick = function(box, checked) {
+    box.checked = checked;
+    box.dispatchEvent(new Event('change', { "bubbles": true }));
+  }
+
+  /* the checkbox of the item shown with the name given */
+  var boxOf = function(name) {
+    return Array.from(page.querySelectorAll('.student-item'))
+      .filter((item) => item.querySelector('h3').textContent == name)[0]
+      .querySelector('.select-item');
+  }
+
+  var selectedNames = function() {
+    return paginator.getSelection().map((student) => student.name);
+  }
+
+  var bar = function(selector) {
+    return page.querySelector('.selection-bar ' + selector);
+  }
+
+  it('selects the student of a ticked item and tells the list', function() {
+    create();
+    tick(boxOf('aapo niskanen'), true);
+
+    expect(selectedNames()).to.deep.equal(['aapo niskanen']);
+    expect(changes.length).to.equal(1);
+    expect(changes[0].count).to.equal(1);
+    expect(changes[0].students[0].email).to.equal('aapo.niskanen@example.com');
+    expect(bar('.selected-count').textContent).to.equal('1 selected');
+    expect(bar('.select-page input').indeterminate).to.equal(true);
+  });
+
+  it('keeps the selection across pages', function() {
+    create();
+    tick(boxOf('iboya vat'), true);
+    paginator.goTo(2);
+    tick(boxOf('ethel dean'), true);
+    paginator.goTo(1);
+
+    expect(boxOf('iboya vat').checked).to.equal(true);
+    expect(boxOf('aapo niskanen').checked).to.equal(false);
+    expect(selectedNames()).to.deep.equal(['iboya vat', 'ethel dean']);
+  });
+
+  it('selects and unselects the whole page', function() {
+    create();
+    tick(bar('.select-page input'), true);
+    expect(selectedNames()).to.deep.equal(['iboya vat', 'aapo niskanen']);
+    expect(boxOf('aapo niskanen').checked).to.equal(true);
+
+    paginator.goTo(2);
+    expect(bar('.select-page input').checked).to.equal(false);
+    paginator.goTo(1);
+    tick(bar('.select-page input'), false);
+    expect(selectedNames()).to.deep.equal([]);
+  });
+
+  it('selects every student matching the search', function() {
+    create();
+    paginator.search('example');
+    expect(bar('.select-matching').textContent).to.equal('Select all 3 matching');
+    bar('.select-matching').click();
+
+    return settle().then(function() {
+      expect(selectedNames()).to.deep.equal(['iboya vat', 'aapo niskanen', 'ethel dean']);
+      paginator.search('example dean');
+      expect(bar('.select-matching').style.display).to.equal('none');
+    });
+  });
+
+  it('selects every match of an array source, kept apart by the selection key', function() {
+    var list = students.map((student) => Object.assign({}, student));
+    page.remove();
+    page = mountPage();
+    create({ "source": list, "selectionKey": (student) => student.name });
+
+    return settle().then(function() {
+      tick(boxOf('iboya vat'), true);
+      bar('.select-matching').click();
+      return settle();
+    }).then(function() {
+      expect(paginator.getSelection().length).to.equal(5);
+      expect(paginator.getSelection()[0]).to.equal(list[0]);
+    });
+  });
+
+  it('clears the selection', function() {
+    create();
+    tick(bar('.select-page input'), true);
+    bar('.clear-selection').click();
+    expect(selectedNames()).to.deep.equal([]);
+    expect(boxOf('iboya vat').checked).to.equal(false);
+    expect(changes[changes.length - 1].count).to.equal(0);
+
+    tick(boxOf('iboya vat'), true);
+    paginator.clearSelection();
+    expect(bar('.selected-count').textContent).to.equal('0 selected');
+  });
+
+  it('leaves items without checkboxes unless asked', function() {
+    paginator = createPaginator(pageOptions(page, { "pageSize": 2 }));
+    expect(page.querySelector('.select-item')).to.equal(null);
+    expect(page.querySelector('.selection-bar')).to.equal(null);
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+  });
+});
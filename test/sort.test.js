@@ -0,0 +1,106 @@
+'use strict';
+
+import { expect } from 'chai';
+import { byText, byJoined, createSortCache } from '../src/js/sort';
+import { createPaginator } from '../src/js/pagination';
+import { studentTemplate } from '../src/js/template';
+import { students, mountPage, pageOptions, visibleNames } from './fixtures';
+
+var nameOf = function(item) {
+  return item.querySelector('h3').textContent;
+}
+
+describe('byText and byJoined', function() {
+  var items = students.map(studentTemplate);
+
+  it('compare the text of a descendant, ignoring accents', function() {
+    expect(items.slice().sort(byText('h3')).map(nameOf))
+      .to.deep.equal(['aapo niskanen', 'ethel dean', 'iboya vat', 'phillip cox', 'zoë clark']);
+    expect(items.slice().sort(byText('.email', true)).map(nameOf)[0]).to.equal('zoë clark');
+  });
+
+  it('compare join dates, with unreadable dates last', function() {
+    var undated = studentTemplate({ "name": "no date", "email": "", "joined": "", "avatar": "" });
+    var order = items.concat([undated]).sort(byJoined(true)).map(nameOf);
+    expect(order).to.deep.equal(['zoë clark', 'iboya vat', 'phillip cox', 'ethel dean', 'aapo niskanen', 'no date']);
+  });
+});
+
+describe('createSortCache', function() {
+  var items = students.map(studentTemplate);
+
+  it('reads the key of each item once, however many comparisons the sort makes', function() {
+    var reads = 0;
+    var compare = byText('h3');
+    var counted = Object.assign((a, b) => compare(a, b), {
+      "key": function(item) { reads++; return compare.key(item); },
+      "order": compare.order
+    });
+    var sortItems = createSortCache();
+
+    expect(sortItems(items.slice(), counted).map(nameOf)[0]).to.equal('aapo niskanen');
+    sortItems(items.slice().reverse(), counted);
+    expect(reads).to.equal(items.length);
+  });
+
+  it('compares the items themselves when the comparison has no key', function() {
+    var byLength = (a, b) => nameOf(a).length - nameOf(b).length;
+    expect(createSortCache()(items.slice(), byLength).map(nameOf)[0]).to.equal('iboya vat');
+  });
+});
+
+describe('createPaginator sorting', function() {
+  var page, paginator;
+
+  beforeEach(function() {
+    page = mountPage(students);
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  it('sorts before slicing into pages', function() {
+    paginator = createPaginator(pageOptions(page, { "pageSize": 2 }));
+    paginator.sort('name');
+    expect(visibleNames(page)).to.deep.equal(['aapo niskanen', 'ethel dean']);
+    paginator.goTo(3);
+    expect(visibleNames(page)).to.deep.equal(['zoë clark']);
+  });
+
+  it('sorts the matches of a search', function() {
+    paginator = createPaginator(pageOptions(page, { "pageSize": 2 }));
+    paginator.search('example');
+    paginator.sort('joined-desc');
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'ethel dean']);
+  });
+
+  it('keeps forgiving typos when a sort is chosen', function() {
+    paginator = createPaginator(pageOptions(page, { "fuzzy": true }));
+    paginator.search('philip');
+    paginator.sort('name');
+    expect(visibleNames(page)).to.deep.equal(['phillip cox']);
+  });
+
+  it('puts the markup order back when the sort is undone', function() {
+    paginator = createPaginator(pageOptions(page));
+    paginator.sort('name-desc');
+    paginator.sort('');
+    expect(visibleNames(page)).to.deep.equal(students.map((student) => student.name));
+  });
+
+  it('moves no item when the order is already right', function() {
+    paginator = createPaginator(pageOptions(page));
+    paginator.sort('name');
+    var moves = 0;
+    var watcher = new MutationObserver((records) => moves += records.length);
+    watcher.observe(page.querySelector('.student-list'), { "childList": true });
+
+    paginator.search('a');
+    return Promise.resolve().then(function() {
+      watcher.disconnect();
+      expect(moves).to.equal(0);
+    });
+  });
+});
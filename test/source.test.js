@@ -0,0 +1,44 @@
+'use strict';
+
+import { expect } from 'chai';
+import { createLocalSource } from '../src/js/source';
+import { students } from './fixtures';
+
+var request = function(changes) {
+  return Object.assign({ "page": 1, "size": 2, "query": "", "sort": "", "filters": {} }, changes);
+}
+
+
+describe('createLocalSource', function() {
+
+  it('answers a page of the students with the total', function() {
+    return createLocalSource(students)(request({ "page": 2 })).then(function(result) {
+      expect(result.total).to.equal(5);
+      expect(result.items.map((student) => student.name)).to.deep.equal(['phillip cox', 'ethel dean']);
+    });
+  });
+
+  it('searches and sorts before paging', function() {
+    return createLocalSource(students)(request({ "query": "mail.com", "sort": "name" })).then(function(result) {
+      expect(result.total).to.equal(2);
+      expect(result.items.map((student) => student.name)).to.deep.equal(['phillip cox', 'zoë clark']);
+    });
+  });
+
+  it('applies the facet filters of the request', function() {
+    return createLocalSource(students)(request({ "filters": { "year": ["2015"] } })).then(function(result) {
+      expect(result.total).to.equal(2);
+    });
+  });
+
+  it('rejects a request aborted before it is answered', function() {
+    var controller = new AbortController();
+    var answer = createLocalSource(students, { "latency": 50 })(request({ "signal": controller.signal }));
+    controller.abort();
+    return answer.then(function() {
+      throw new Error('the request was answered');
+    }, function(error) {
+      expect(error.message).to.equal('Request aborted');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+import { expect } from 'chai';
+import { createStore } from '../src/js/storage';
+import { createPaginator } from '../src/js/pagination';
+import { students, mountPage, pageOptions, visibleNames } from './fixtures';
+
+describe('createStore', function() {
+
+  afterEach(function() {
+    window.localStorage.removeItem('test.size');
+  });
+
+  it('reads back what it wrote', function() {
+    var store = createStore('test', 1);
+    store.write('size', 25);
+    expect(store.read('size')).to.equal(25);
+  });
+
+  it('drops an entry that does not parse', function() {
+    window.localStorage.setItem('test.size', '{not json');
+    expect(createStore('test', 1).read('size')).to.equal(null);
+    expect(window.localStorage.getItem('test.size')).to.equal(null);
+  });
+
+  it('drops an entry written by another version', function() {
+    createStore('test', 1).write('size', 25);
+    expect(createStore('test', 2).read('size')).to.equal(null);
+    expect(window.localStorage.getItem('test.size')).to.equal(null);
+  });
+
+  it('drops an entry its check turns down', function() {
+    var store = createStore('test', 1);
+    store.write('size', 'lots');
+    expect(store.read('size', (value) => typeof value == 'number')).to.equal(null);
+    expect(window.localStorage.getItem('test.size')).to.equal(null);
+  });
+
+  it('remembers nothing without a namespace', function() {
+    var store = createStore('', 1);
+    store.write('size', 25);
+    expect(store.read('size')).to.equal(null);
+  });
+});
+
+describe('createPaginator with a storageKey', function() {
+  var page, paginator;
+
+  beforeEach(function() {
+    page = mountPage(students);
+  });
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+    ['size', 'preferences', 'recent'].forEach((key) => window.localStorage.removeItem('test.' + key));
+  });
+
+  /* a paginator made again, as a reload of the page would */
+  var reload = function(options) {
+    if(paginator) { paginator.destroy(); }
+    paginator = createPaginator(pageOptions(page, Object.assign({ "storageKey": "test", "pageSize": 2 }, options)));
+    return paginator;
+  }
+
+  it('remembers the chosen page size', function() {
+    reload().setPageSize(25);
+    reload();
+    expect(page.querySelector('.page-size').value).to.equal('25');
+    expect(visibleNames(page).length).to.equal(5);
+  });
+
+  it('remembers the page, query and sort when asked to persist', function() {
+    reload({ "persist": true });
+    paginator.search('example');
+    paginator.sort('name');
+    paginator.goTo(2);
+
+    reload({ "persist": true });
+    expect(page.querySelector('input[type="search"]').value).to.equal('example');
+    expect(page.querySelector('.student-sort').value).to.equal('name');
+    expect(visibleNames(page)).to.deep.equal(['iboya vat']);
+  });
+
+  it('remembers recent searches, newest first and without repeats', function() {
+    reload({ "recentSearches": 2 });
+    var box = page.querySelector('input[type="search"]');
+    ['cox', 'dean', 'cox'].forEach(function(query) {
+      box.value = query;
+      box.dispatchEvent(new Event('change'));
+    });
+
+    reload({ "recentSearches": 2 });
+    box = page.querySelector('input[type="search"]');
+    box.dispatchEvent(new Event('focus'));
+    var offered = Array.from(page.querySelectorAll('.recent-search')).map((option) => option.textContent);
+    expect(offered).to.deep.equal(['cox', 'dean']);
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+import { expect } from 'chai';
+import { createPaginator } from '../src/js/pagination';
+import { students, mountPage, pageOptions, visibleNames, settle } from './fixtures';
+
+/* more students than fit in the viewport, named so they sort in the order made */
+var many = function(count) {
+  return Array.from({ "length": count }, (_, index) => ({
+    "name": "student " + ('0' + index).slice(-2),
+    "email": "student." + index + "@example.com",
+    "joined": "01/01/15",
+    "avatar": ""
+  }));
+}
+
+describe('createPaginator in virtual mode', function() {
+  var page, paginator;
+
+  afterEach(function() {
+    paginator.destroy();
+    page.remove();
+  });
+
+  var create = function(options) {
+    paginator = createPaginator(pageOptions(page, Object.assign({ "pageSize": 2, "virtual": true }, options)));
+    return paginator;
+  }
+
+  var rows = function() {
+    return page.querySelectorAll('.student-item');
+  }
+
+  var spacers = function() {
+    return Array.from(page.querySelectorAll('.virtual-spacer')).map((spacer) => spacer.style.height);
+  }
+
+  it('only puts the rows of the page in the list', function() {
+    page = mountPage();
+    create({ "source": students });
+    expect(rows().length).to.equal(2);
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+
+    paginator.goTo(3);
+    expect(rows().length).to.equal(1);
+    expect(visibleNames(page)).to.deep.equal(['zoë clark']);
+    expect(page.querySelector('.pagination-summary').textContent).to.equal('Showing 5–5 of 5');
+  });
+
+  it('reads the students out of the markup', function() {
+    page = mountPage(students);
+    create();
+    expect(rows().length).to.equal(2);
+
+    paginator.search('mail.com');
+    expect(visibleNames(page)).to.deep.equal(['phillip cox', 'zoë clark']);
+
+    paginator.search('');
+    paginator.sort('name');
+    expect(visibleNames(page)).to.deep.equal(['aapo niskanen', 'ethel dean']);
+  });
+
+  it('searches and sorts on the fields and sorts given', function() {
+    var domain = (item) => item.querySelector('.email').textContent.split('@')[1];
+    page = mountPage();
+    create({
+      "source": students,
+      "searchFields": { "address": ".email" },
+      "sorts": { "domain": { "label": "Domain", "compare": (a, b) => domain(a).localeCompare(domain(b)) } }
+    });
+
+    paginator.search('dean');
+    expect(visibleNames(page)).to.deep.equal(['ethel dean']);
+    paginator.search('vat');
+    expect(visibleNames(page)).to.deep.equal(['iboya vat']);
+    paginator.search('07/15/15');
+    expect(visibleNames(page)).to.deep.equal([]);
+
+    paginator.search('');
+    paginator.sort('domain');
+    expect(visibleNames(page)).to.deep.equal(['iboya vat', 'aapo niskanen']);
+    paginator.goTo(3);
+    expect(visibleNames(page)).to.deep.equal(['zoë clark']);
+  });
+
+  it('keeps the row made for a student when the page comes back', function() {
+    page = mountPage();
+    create({ "source": students });
+    var row = rows()[0];
+    paginator.goTo(2);
+    paginator.goTo(1);
+    expect(rows()[0]).to.equal(row);
+  });
+
+  it('only renders the rows in and around the viewport when scrolling', function() {
+    page = mountPage();
+    var list = page.querySelector('.student-list');
+    var top = 0;
+    list.getBoundingClientRect = () => ({ "top": top, "bottom": top + 2000, "left": 0, "right": 0, "width": 0, "height": 2000 });
+
+    create({ "source": many(30), "pageSize": 20, "mode": "more", "rowHeight": 100, "overscan": 2 });
+    var rowsFor = (height) => Math.ceil(height / 100) + 2;
+    expect(rows().length).to.equal(rowsFor(window.innerHeight));
+    expect(spacers()).to.deep.equal(['0px', (20 - rowsFor(window.innerHeight)) * 100 + 'px']);
+
+    top = -500;
+    window.dispatchEvent(new Event('scroll'));
+    return settle(50).then(function() {
+      var first = 5 - 2;
+      var last = Math.min(20, rowsFor(window.innerHeight + 500));
+      expect(rows()[0].querySelector('h3').textContent).to.equal('student 0' + first);
+      expect(rows().length).to.equal(last - first);
+      expect(spacers()).to.deep.equal([first * 100 + 'px', (20 - last) * 100 + 'px']);
+    });
+  });
+});
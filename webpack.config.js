@@ -2,7 +2,7 @@ var webpack = require('webpack');
 
 module.exports = {
      entry: {
-       "app": "./src/js/pagination.js",
+       "app": "./src/js/app.js",
        "vendor": ["babel-polyfill"]
      },
      devtool: 'source-map',
@@ -2,7 +2,7 @@ var hostname = 'localhost';
 var port = '3000';
 
 module.exports = {
-    entry: 'mocha!./test/pagination.test.js',
+    entry: 'mocha!./test/index.js',
     devtool: 'source-map',
     output: {
         path: './test/',